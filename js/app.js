@@ -1,6 +1,8 @@
 /**
  * app.js — Main application logic
- * Handles tab switching, dark/light mode toggle, toast notifications, and initialisation.
+ * Handles tab switching, dark/light mode toggle, recognition language, settings,
+ * speech backend selection, toast notifications, the low-confidence alternatives
+ * picker, and initialisation.
  */
 
 // ── Toast notification ──────────────────────────────────────────────────────
@@ -9,8 +11,10 @@
  * Display a brief toast notification.
  * @param {string} message
  * @param {'info'|'error'|'success'} [type='info']
+ * @param {{label:string, onClick:function}} [action] - Optional button (e.g. Undo);
+ *   the toast stays up a little longer when it has one.
  */
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', action = null) {
   const container = document.getElementById('toast-container');
   if (!container) return;
 
@@ -18,16 +22,100 @@ function showToast(message, type = 'info') {
   toast.className = `toast toast-${type}`;
   toast.textContent = message;
 
+  const dismiss = () => {
+    toast.classList.remove('show');
+    toast.addEventListener('transitionend', () => toast.remove(), { once: true });
+  };
+
+  if (action) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      dismiss();
+      action.onClick();
+    }, { once: true });
+    toast.appendChild(btn);
+  }
+
   container.appendChild(toast);
 
   // Animate in
   requestAnimationFrame(() => toast.classList.add('show'));
 
-  // Remove after 3 s
-  setTimeout(() => {
-    toast.classList.remove('show');
-    toast.addEventListener('transitionend', () => toast.remove(), { once: true });
-  }, 3000);
+  // Remove after 3 s (6 s when there is an action to reach for)
+  setTimeout(dismiss, action ? 6000 : 3000);
+}
+
+// ── Alternatives picker ─────────────────────────────────────────────────────
+
+/** Low-confidence results waiting for the picker (continuous mode can queue several). */
+const pickerQueue = [];
+
+/**
+ * Ask the user which of several recognition alternatives they meant.
+ * Registered with SpeechModule as its chooser; requests are shown one at a time.
+ * @param {Array<{transcript:string, confidence:number}>} alternatives - Best first.
+ * @param {function(string|null)} onPick - Receives the chosen text, or null if discarded.
+ */
+function showAlternativesPicker(alternatives, onPick) {
+  pickerQueue.push({ alternatives, onPick });
+  if (pickerQueue.length === 1) openNextPicker();
+}
+
+function openNextPicker() {
+  const picker = document.getElementById('alt-picker');
+  const request = pickerQueue[0];
+  if (!picker || !request) return;
+
+  const list = picker.querySelector('.alt-list');
+  const editRow = picker.querySelector('.alt-edit-row');
+  const editInput = picker.querySelector('.alt-edit-input');
+
+  const finish = (text) => {
+    picker.hidden = true;
+    pickerQueue.shift();
+    request.onPick(text);
+    openNextPicker();
+  };
+
+  list.innerHTML = '';
+  request.alternatives.forEach((alt) => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'alt-option';
+    btn.textContent = alt.transcript;
+    if (alt.confidence > 0) {
+      const pct = document.createElement('span');
+      pct.className = 'alt-confidence';
+      pct.textContent = `${Math.round(alt.confidence * 100)}%`;
+      btn.appendChild(pct);
+    }
+    btn.addEventListener('click', () => finish(alt.transcript));
+    li.appendChild(btn);
+    list.appendChild(li);
+  });
+
+  editRow.hidden = true;
+  editInput.value = request.alternatives[0].transcript;
+
+  picker.querySelector('.alt-edit').onclick = () => {
+    editRow.hidden = false;
+    editInput.focus();
+    editInput.select();
+  };
+  picker.querySelector('.alt-edit-save').onclick = () => finish(editInput.value);
+  editInput.onkeydown = (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); finish(editInput.value); }
+    if (e.key === 'Escape') finish(null);
+  };
+  picker.querySelector('.alt-discard').onclick = () => finish(null);
+
+  picker.hidden = false;
+  const first = list.querySelector('.alt-option');
+  if (first) first.focus();
 }
 
 // ── Theme ────────────────────────────────────────────────────────────────────
@@ -43,8 +131,8 @@ function applyTheme(theme) {
   }
 }
 
-function initTheme() {
-  const saved = Storage.get(THEME_KEY, null);
+async function initTheme() {
+  const saved = await Storage.get(THEME_KEY, null);
   const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
   applyTheme(saved || (prefersDark ? 'dark' : 'light'));
 
@@ -57,6 +145,34 @@ function initTheme() {
   }
 }
 
+// ── Recognition language ─────────────────────────────────────────────────────
+
+const LANG_KEY = 'vt_lang';
+
+function applyLang(code) {
+  SpeechModule.setLang(code);
+  Storage.set(LANG_KEY, code);
+  const select = document.getElementById('lang-select');
+  if (select) select.value = code;
+}
+
+async function initLang() {
+  const select = document.getElementById('lang-select');
+  const saved = await Storage.get(LANG_KEY, null);
+  const offered = select ? Array.from(select.options).map((o) => o.value) : [];
+  // First load: pick the browser language if we offer it, else the first option.
+  const browser = offered.find((code) => code === navigator.language)
+    || offered.find((code) => code.split('-')[0] === (navigator.language || '').split('-')[0]);
+  applyLang(saved || browser || offered[0] || 'en-US');
+
+  if (select) {
+    select.addEventListener('change', () => {
+      if (SpeechModule.listening) SpeechModule.stop();
+      applyLang(select.value);
+    });
+  }
+}
+
 // ── Tab switching ────────────────────────────────────────────────────────────
 
 function initTabs() {
@@ -81,21 +197,115 @@ function initTabs() {
   });
 }
 
-// ── Speech API banner ────────────────────────────────────────────────────────
+// ── Settings dialog ──────────────────────────────────────────────────────────
+
+/**
+ * Wire up the settings dialog. Every field with a `data-setting` attribute is
+ * bound to that Storage key; changes are announced with a `settingchange`
+ * event on `document` carrying `{ key, value }`.
+ */
+async function initSettings() {
+  const dialog = document.getElementById('settings-dialog');
+  const openBtn = document.getElementById('settings-toggle');
+  if (!dialog) return;
+
+  const close = () => {
+    dialog.hidden = true;
+    if (openBtn) openBtn.focus();
+  };
 
-function initSpeechBanner() {
-  if (!SpeechModule.isSupported()) {
-    const banner = document.getElementById('speech-banner');
-    if (banner) banner.hidden = false;
+  if (openBtn) {
+    openBtn.addEventListener('click', () => {
+      dialog.hidden = false;
+      const first = dialog.querySelector('select, input, button');
+      if (first) first.focus();
+    });
   }
+  dialog.querySelector('.modal-close').addEventListener('click', close);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) close();
+  });
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  });
+
+  await Promise.all(Array.from(dialog.querySelectorAll('[data-setting]')).map(async (field) => {
+    const key = field.dataset.setting;
+    const saved = await Storage.get(key, null);
+    if (saved !== null) {
+      if (field.type === 'checkbox') field.checked = saved;
+      else field.value = saved;
+    }
+    field.addEventListener('change', async () => {
+      const value = field.type === 'checkbox' ? field.checked : field.value.trim();
+      await Storage.set(key, value);
+      document.dispatchEvent(new CustomEvent('settingchange', { detail: { key, value } }));
+    });
+  }));
+}
+
+// ── Speech backend ───────────────────────────────────────────────────────────
+
+const SPEECH_BACKEND_KEY = 'vt_speech_backend';
+const TRANSCRIBE_URL_KEY = 'vt_transcribe_url';
+
+/**
+ * Pick the recognition backend from settings: 'webspeech', 'recorder', or
+ * 'auto' (Web Speech when available, otherwise the local server if configured).
+ */
+async function selectSpeechBackend() {
+  const choice = await Storage.get(SPEECH_BACKEND_KEY, 'auto');
+  const web = SpeechBackends.webSpeech();
+  const local = SpeechBackends.recorder({ endpoint: await Storage.get(TRANSCRIBE_URL_KEY, '') });
+
+  const useLocal = choice === 'recorder' || (choice === 'auto' && !web.isSupported() && local.isSupported());
+  SpeechModule.useBackend(useLocal ? local : web);
+  updateSpeechAvailability();
+}
+
+/** Enable or disable every voice control and the unsupported banner. */
+function updateSpeechAvailability() {
+  const supported = SpeechModule.isSupported();
+
+  const banner = document.getElementById('speech-banner');
+  if (banner) banner.hidden = supported;
+
+  document.querySelectorAll('.btn-mic, #todo-continuous-toggle').forEach((btn) => {
+    if (btn.dataset.title === undefined) btn.dataset.title = btn.title;
+    btn.disabled = !supported;
+    btn.title = supported ? btn.dataset.title : 'Voice input is not available — see Settings';
+  });
+}
+
+async function initSpeech() {
+  SpeechModule.setChooser(showAlternativesPicker);
+  await selectSpeechBackend();
+  document.addEventListener('settingchange', (e) => {
+    if (e.detail.key === SPEECH_BACKEND_KEY || e.detail.key === TRANSCRIBE_URL_KEY) {
+      selectSpeechBackend();
+    }
+  });
 }
 
 // ── Bootstrap ────────────────────────────────────────────────────────────────
 
-document.addEventListener('DOMContentLoaded', () => {
-  initTheme();
+document.addEventListener('DOMContentLoaded', async () => {
+  await Storage.init();
+  await initTheme();
+  await initLang();
+  await initSettings();
   initTabs();
-  initSpeechBanner();
-  Todos.init();
-  Links.init();
+  await initSpeech();
+  UndoHistory.init();
+  Reminders.init();
+  // Todos render category pills, so categories must be loaded first.
+  await Categories.init();
+  await Lists.init();
+  await Todos.init();
+  await LinkMeta.init();
+  await Collections.init();
+  await Links.init();
+  LinkHealth.init();
+  Backup.init();
+  Sync.init();
 });
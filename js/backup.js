@@ -0,0 +1,476 @@
+/**
+ * backup.js — Export and import of todos and links
+ * Exports the full dataset as versioned JSON, todos as CSV and as iCalendar
+ * VTODOs, and links as a Netscape bookmarks file (the format every browser
+ * imports and exports). Import reads the same formats back, either merged
+ * into the current data or replacing it.
+ */
+
+const Backup = (() => {
+  const FORMAT = 'voicedo-backup';
+  /** Bump when the JSON layout changes; older files must stay importable. */
+  const VERSION = 1;
+
+  const CSV_COLUMNS = ['id', 'text', 'completed', 'created', 'deadline', 'deadline_time', 'priority', 'categories', 'subtasks'];
+
+  /** iCalendar PRIORITY values (1 = highest, 9 = lowest). */
+  const ICS_PRIORITY = { high: 1, medium: 5, low: 9 };
+  const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const UID_SUFFIX = '@voicedo';
+
+  // ── Helpers ─────────────────────────────────────────────────────────────────
+
+  function today() {
+    return VoiceParser.toDateStr(new Date());
+  }
+
+  /** Offer a file for download. */
+  function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function escHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function plural(n, word) {
+    return `${n} ${word}${n === 1 ? '' : 's'}`;
+  }
+
+  // ── JSON ────────────────────────────────────────────────────────────────────
+
+  function toJson() {
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      categories: Categories.list().map(({ name, color }) => ({ name, color })),
+      lists: Lists.all(),
+      todos: Todos.getAll(),
+      collections: Collections.all(),
+      links: Links.getAll(),
+    }, null, 2);
+  }
+
+  function fromJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not valid JSON');
+    }
+    if (!data || data.format !== FORMAT) throw new Error('This is not a VoiceDo backup');
+    if (data.version > VERSION) throw new Error('This backup was made by a newer version of VoiceDo');
+    return {
+      categories: Array.isArray(data.categories) ? data.categories : [],
+      lists: Array.isArray(data.lists) ? data.lists : [],
+      collections: Array.isArray(data.collections) ? data.collections : [],
+      todos: Array.isArray(data.todos) ? data.todos : [],
+      links: Array.isArray(data.links) ? data.links : [],
+    };
+  }
+
+  // ── CSV ─────────────────────────────────────────────────────────────────────
+
+  function csvField(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /** Subtasks are one cell: "[x] done one | open one". */
+  function toCsv() {
+    const rows = Todos.getAll().map((t) => [
+      t.id,
+      t.text,
+      t.completed ? 'yes' : 'no',
+      new Date(t.createdAt).toISOString(),
+      t.deadline,
+      t.deadlineTime,
+      t.priority,
+      t.categories.join('; '),
+      t.subtasks.map((s) => `${s.completed ? '[x] ' : ''}${s.text}`).join(' | '),
+    ]);
+    return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n');
+  }
+
+  /** Split CSV text into rows of cells (RFC 4180 quoting). */
+  function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c.trim()));
+  }
+
+  function fromCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    const cols = (header || []).map((h) => h.trim().toLowerCase());
+    if (!cols.includes('text')) throw new Error('The CSV file needs a "text" column');
+    const todos = rows.map((cells) => {
+      const get = (name) => (cols.includes(name) ? (cells[cols.indexOf(name)] || '').trim() : '');
+      const created = Date.parse(get('created'));
+      const todo = {
+        text: get('text'),
+        completed: /^(yes|true|1|x)$/i.test(get('completed')),
+        createdAt: Number.isNaN(created) ? Date.now() : created,
+        deadline: /^\d{4}-\d{2}-\d{2}$/.test(get('deadline')) ? get('deadline') : null,
+        deadlineTime: /^\d{2}:\d{2}$/.test(get('deadline_time')) ? get('deadline_time') : null,
+        priority: ['low', 'medium', 'high'].includes(get('priority').toLowerCase()) ? get('priority').toLowerCase() : 'medium',
+        categories: get('categories').split(';').map((c) => c.trim()).filter(Boolean),
+        subtasks: get('subtasks').split('|').map((s) => s.trim()).filter(Boolean).map((s, i) => ({
+          id: `sub_${Date.now()}_${i}_${Math.random().toString(36).slice(2, 7)}`,
+          text: s.replace(/^\[x\]\s*/i, ''),
+          completed: /^\[x\]/i.test(s),
+        })),
+      };
+      if (get('id')) todo.id = get('id');
+      return todo;
+    });
+    return { categories: [], todos, links: null };
+  }
+
+  // ── iCalendar ───────────────────────────────────────────────────────────────
+
+  function icsText(str) {
+    return String(str).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+
+  function icsUnescape(str) {
+    return str.replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+  }
+
+  /** UTC timestamp in iCalendar form, e.g. 20261019T083000Z. */
+  function icsStamp(ts) {
+    return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /** Lines longer than 75 characters are folded onto continuation lines. */
+  function fold(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+      parts.push(rest.slice(0, 75));
+      rest = ` ${rest.slice(75)}`;
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+  }
+
+  function rruleFor(repeat) {
+    switch (repeat.type) {
+      case 'daily': return 'FREQ=DAILY';
+      case 'weekdays': return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+      case 'weekly':
+        return repeat.days && repeat.days.length
+          ? `FREQ=WEEKLY;BYDAY=${repeat.days.map((d) => ICS_DAYS[d]).join(',')}`
+          : 'FREQ=WEEKLY';
+      case 'monthly': return repeat.date ? `FREQ=MONTHLY;BYMONTHDAY=${repeat.date}` : 'FREQ=MONTHLY';
+      case 'interval': return `FREQ=DAILY;INTERVAL=${repeat.every || 1}`;
+      default: return null;
+    }
+  }
+
+  function repeatFromRrule(rule) {
+    const parts = Object.fromEntries(rule.split(';').map((p) => p.split('=')));
+    const interval = Number(parts.INTERVAL) || 1;
+    const days = parts.BYDAY ? parts.BYDAY.split(',').map((d) => ICS_DAYS.indexOf(d.slice(-2))).filter((d) => d >= 0) : [];
+    switch (parts.FREQ) {
+      case 'DAILY': return interval > 1 ? { type: 'interval', every: interval } : { type: 'daily' };
+      case 'WEEKLY':
+        if (days.join(',') === '1,2,3,4,5') return { type: 'weekdays' };
+        return { type: 'weekly', days };
+      case 'MONTHLY': return { type: 'monthly', date: Number(parts.BYMONTHDAY) || null };
+      default: return null;
+    }
+  }
+
+  function vtodo(fields, alarms = []) {
+    const lines = ['BEGIN:VTODO', ...fields.filter(Boolean)];
+    alarms.forEach((minutes) => {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:-PT${minutes}M`, 'DESCRIPTION:Reminder', 'END:VALARM');
+    });
+    lines.push('END:VTODO');
+    return lines;
+  }
+
+  /** Each todo is a VTODO; subtasks are VTODOs related to their parent. */
+  function toIcs() {
+    const stamp = icsStamp(Date.now());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//VoiceDo//Tasks//EN'];
+    Todos.getAll().forEach((t) => {
+      const uid = `${t.id}${UID_SUFFIX}`;
+      let due = null;
+      if (t.deadline) {
+        const date = t.deadline.replace(/-/g, '');
+        due = t.deadlineTime ? `DUE:${date}T${t.deadlineTime.replace(':', '')}00` : `DUE;VALUE=DATE:${date}`;
+      }
+      const rrule = t.repeat && rruleFor(t.repeat);
+      lines.push(...vtodo([
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `CREATED:${icsStamp(t.createdAt)}`,
+        `SUMMARY:${icsText(t.text)}`,
+        `STATUS:${t.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+        due,
+        `PRIORITY:${ICS_PRIORITY[t.priority] || ICS_PRIORITY.medium}`,
+        t.categories.length ? `CATEGORIES:${t.categories.map(icsText).join(',')}` : null,
+        rrule ? `RRULE:${rrule}` : null,
+      ], t.deadline ? t.reminders : []));
+      t.subtasks.forEach((s) => {
+        lines.push(...vtodo([
+          `UID:${s.id}${UID_SUFFIX}`,
+          `DTSTAMP:${stamp}`,
+          `SUMMARY:${icsText(s.text)}`,
+          `STATUS:${s.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+          `RELATED-TO:${uid}`,
+        ]));
+      });
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+  }
+
+  /** Minutes before the due time for a VALARM TRIGGER like -PT15M, -PT1H or -P1D. */
+  function triggerMinutes(value) {
+    const m = value.match(/^-P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+    if (!m) return null;
+    const [w, d, h, min] = m.slice(1).map((x) => Number(x) || 0);
+    return ((w * 7 + d) * 24 + h) * 60 + min;
+  }
+
+  function fromIcs(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const items = [];
+    let item = null;
+    let inAlarm = false;
+    lines.forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon === -1) return;
+      const [name, ...params] = line.slice(0, colon).split(';');
+      const value = line.slice(colon + 1);
+      const key = name.toUpperCase();
+      if (key === 'BEGIN' && value === 'VTODO') item = { alarms: [] };
+      else if (key === 'END' && value === 'VTODO') { if (item) items.push(item); item = null; }
+      else if (key === 'BEGIN' && value === 'VALARM') inAlarm = true;
+      else if (key === 'END' && value === 'VALARM') inAlarm = false;
+      else if (item && inAlarm && key === 'TRIGGER') item.alarms.push(triggerMinutes(value));
+      else if (item && !inAlarm) item[key] = { value, params };
+    });
+    if (items.length === 0) throw new Error('No tasks (VTODO items) found in the calendar file');
+
+    const value = (it, key) => (it[key] ? it[key].value : '');
+    const idOf = (uid) => uid.replace(UID_SUFFIX, '');
+
+    const todos = items.filter((it) => !it['RELATED-TO']).map((it) => {
+      const due = value(it, 'DUE').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/);
+      const prio = Number(value(it, 'PRIORITY')) || 0;
+      const created = value(it, 'CREATED').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+      const todo = {
+        text: icsUnescape(value(it, 'SUMMARY')),
+        completed: value(it, 'STATUS') === 'COMPLETED',
+        createdAt: created ? Date.UTC(created[1], created[2] - 1, created[3], created[4], created[5], created[6]) : Date.now(),
+        deadline: due ? `${due[1]}-${due[2]}-${due[3]}` : null,
+        deadlineTime: due && due[4] ? `${due[4]}:${due[5]}` : null,
+        reminders: due ? it.alarms.filter((m) => m !== null) : [],
+        priority: prio === 0 ? 'medium' : prio <= 4 ? 'high' : prio === 5 ? 'medium' : 'low',
+        categories: value(it, 'CATEGORIES') ? value(it, 'CATEGORIES').split(/(?<!\\),/).map(icsUnescape) : [],
+        repeat: value(it, 'RRULE') ? repeatFromRrule(value(it, 'RRULE')) : null,
+        subtasks: [],
+      };
+      if (value(it, 'UID')) todo.id = idOf(value(it, 'UID'));
+      return todo;
+    });
+
+    items.filter((it) => it['RELATED-TO']).forEach((it) => {
+      const parent = todos.find((t) => t.id === idOf(value(it, 'RELATED-TO')));
+      if (!parent) return;
+      parent.subtasks.push({
+        id: idOf(value(it, 'UID')) || `sub_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        text: icsUnescape(value(it, 'SUMMARY')),
+        completed: value(it, 'STATUS') === 'COMPLETED',
+      });
+    });
+
+    return { categories: [], todos, links: null };
+  }
+
+  // ── Netscape bookmarks ──────────────────────────────────────────────────────
+
+  function toBookmarks() {
+    const items = Links.getAll().map((l) => (
+      `    <DT><A HREF="${escHtml(l.url)}" ADD_DATE="${Math.floor(l.createdAt / 1000)}"${l.tags.length ? ` TAGS="${escHtml(l.tags.join(','))}"` : ''}>${escHtml(l.description || l.url)}</A>`
+    ));
+    return [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>VoiceDo links</H1>',
+      '<DL><p>',
+      ...items,
+      '</DL><p>',
+      '',
+    ].join('\n');
+  }
+
+  function fromBookmarks(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    const links = Array.from(doc.querySelectorAll('a[href]'))
+      .filter((a) => /^https?:\/\//i.test(a.getAttribute('href')))
+      .map((a) => {
+        const added = Number(a.getAttribute('add_date'));
+        return {
+          url: a.getAttribute('href'),
+          description: a.textContent.trim(),
+          tags: (a.getAttribute('tags') || '').split(',').map((t) => t.trim()).filter(Boolean),
+          createdAt: added ? added * 1000 : Date.now(),
+        };
+      });
+    if (links.length === 0) throw new Error('No links found in the bookmarks file');
+    return { categories: [], todos: null, links };
+  }
+
+  // ── Export / import ─────────────────────────────────────────────────────────
+
+  /**
+   * Download the data in one of the supported formats.
+   * @param {'json'|'csv'|'ics'|'bookmarks'} format
+   */
+  function exportAs(format) {
+    const stamp = today();
+    switch (format) {
+      case 'json':
+        return download(`voicedo-backup-${stamp}.json`, toJson(), 'application/json');
+      case 'csv':
+        return download(`voicedo-tasks-${stamp}.csv`, toCsv(), 'text/csv');
+      case 'ics':
+        return download(`voicedo-tasks-${stamp}.ics`, toIcs(), 'text/calendar');
+      case 'bookmarks':
+        return download(`voicedo-links-${stamp}.html`, toBookmarks(), 'text/html');
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  /** Pick a parser from the file name, falling back to sniffing the content. */
+  function parse(filename, text) {
+    const ext = (filename.match(/\.(\w+)$/) || [])[1] || '';
+    const head = text.trimStart().slice(0, 200).toUpperCase();
+    if (ext === 'json' || head.startsWith('{')) return fromJson(text);
+    if (ext === 'ics' || head.startsWith('BEGIN:VCALENDAR')) return fromIcs(text);
+    if (/^html?$/.test(ext) || head.startsWith('<!DOCTYPE NETSCAPE')) return fromBookmarks(text);
+    if (ext === 'csv') return fromCsv(text);
+    throw new Error('Unsupported file type — use .json, .csv, .ics or a bookmarks .html file');
+  }
+
+  /**
+   * Import parsed data into the app. Only the lists a file contains are
+   * touched, so replacing from a bookmarks file leaves the todos alone.
+   * @param {{categories:Array<{name:string, color:string}>, lists?:object[], todos:?object[],
+   *   collections?:object[], links:?object[]}} data
+   * @param {'merge'|'replace'} mode
+   * @returns {{added:number, skipped:number}[]} Results for todos and links.
+   */
+  function apply(data, mode) {
+    const none = { added: 0, skipped: 0 };
+    let todos = none;
+    let links = none;
+    UndoHistory.batch('import', () => {
+      if (data.todos) {
+        // Todos refer to categories by name; make sure each one exists. The
+        // new ones are part of the import, so undoing it removes them too.
+        const colors = new Map(data.categories.map((c) => [c.name, c.color]));
+        const names = new Set([...colors.keys(), ...data.todos.flatMap((t) => t.categories || [])]);
+        names.forEach((name) => Categories.create(name, colors.get(name)));
+        // Todos from lists that aren't in the file (or here) land in the open list.
+        Lists.importLists(data.lists || []);
+        todos = Todos.importTodos(data.todos, mode);
+      }
+      if (data.links) {
+        Collections.importCollections(data.collections || []);
+        links = Links.importLinks(data.links, mode);
+      }
+    });
+    return [todos, links];
+  }
+
+  /**
+   * Read and import a file chosen by the user.
+   * @param {File} file
+   * @param {'merge'|'replace'} mode
+   */
+  async function importFile(file, mode) {
+    try {
+      const data = parse(file.name.toLowerCase(), await file.text());
+      const [todos, links] = apply(data, mode);
+      const parts = [];
+      if (data.todos) parts.push(plural(todos.added, 'task'));
+      if (data.links) parts.push(plural(links.added, 'link'));
+      const skipped = todos.skipped + links.skipped;
+      if (mode === 'merge' && todos.added + links.added === 0) {
+        showToast(`Nothing new to import${skipped ? ` · ${plural(skipped, 'duplicate')} skipped` : ''}`, 'info');
+        return;
+      }
+      UndoHistory.offerUndo(`Imported ${parts.join(' and ')}${skipped ? ` · ${plural(skipped, 'duplicate')} skipped` : ''}`);
+    } catch (e) {
+      showToast(`Import failed: ${e.message}`, 'error');
+    }
+  }
+
+  function init() {
+    document.querySelectorAll('[data-export]').forEach((btn) => {
+      btn.addEventListener('click', () => exportAs(btn.dataset.export));
+    });
+
+    const fileInput = document.getElementById('import-file');
+    const modeSelect = document.getElementById('import-mode');
+    if (!fileInput) return;
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      const mode = modeSelect ? modeSelect.value : 'merge';
+      if (mode !== 'replace' || confirm('Replace your current data with the contents of this file?')) {
+        await importFile(file, mode);
+      }
+      fileInput.value = '';
+    });
+  }
+
+  return { init, exportAs, importFile };
+})();
@@ -0,0 +1,302 @@
+/**
+ * categories.js — User-defined task categories
+ * Stores categories (name + colour), and provides the management dialog for
+ * creating, renaming, recolouring, merging and deleting them. Todos refer to
+ * categories by name, so renames, merges and deletes are pushed to every todo,
+ * in the same undoable step.
+ */
+
+const Categories = (() => {
+  const STORAGE_KEY = 'vt_categories';
+
+  /** Colour for category names that aren't (or are no longer) in the store. */
+  const FALLBACK_COLOR = '#6b7280';
+
+  const DEFAULTS = [
+    { name: 'Work', color: '#3b82f6' },
+    { name: 'Personal', color: '#8b5cf6' },
+    { name: 'Shopping', color: '#f59e0b' },
+    { name: 'Health', color: '#22c55e' },
+    { name: 'Study', color: '#06b6d4' },
+    { name: 'Other', color: '#6b7280' },
+  ];
+
+  // ── Internal State ──────────────────────────────────────────────────────────
+
+  /** @type {Array<{id:string, name:string, color:string}>} */
+  let categories = [];
+
+  /** Called after every change. */
+  const listeners = [];
+
+  // ── Persistence ─────────────────────────────────────────────────────────────
+
+  function genId() {
+    return `cat_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  async function load() {
+    const saved = await Storage.get(STORAGE_KEY, null);
+    categories = saved || DEFAULTS.map((c) => ({ id: genId(), ...c }));
+  }
+
+  function save() {
+    Storage.set(STORAGE_KEY, categories);
+    listeners.forEach((fn) => fn());
+  }
+
+  /** The category list as seen by UndoHistory. */
+  const historyStore = {
+    get: () => categories,
+    set: (list) => {
+      categories = list;
+      save();
+    },
+  };
+
+  function commit(label, mutate) {
+    return UndoHistory.track(label, historyStore, mutate);
+  }
+
+  // ── Queries ─────────────────────────────────────────────────────────────────
+
+  /** @returns {Array<{id:string, name:string, color:string}>} */
+  function list() {
+    return categories.map((c) => ({ ...c }));
+  }
+
+  /** @returns {string[]} */
+  function names() {
+    return categories.map((c) => c.name);
+  }
+
+  function findByName(name) {
+    const lower = name.trim().toLowerCase();
+    return categories.find((c) => c.name.toLowerCase() === lower) || null;
+  }
+
+  /** Colour for a category name, or a neutral grey if it is unknown. */
+  function colorOf(name) {
+    const cat = findByName(name);
+    return cat ? cat.color : FALLBACK_COLOR;
+  }
+
+  /**
+   * Register a callback for any change to the category list.
+   * @param {function} fn
+   */
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  // ── CRUD ─────────────────────────────────────────────────────────────────────
+
+  /**
+   * Create a category.
+   * @param {string} name
+   * @param {string} [color]
+   * @returns {boolean} False if the name is empty or already taken.
+   */
+  function create(name, color = FALLBACK_COLOR) {
+    const trimmed = name.trim();
+    if (!trimmed || findByName(trimmed)) return false;
+    commit(`create category "${trimmed}"`, () => {
+      categories.push({ id: genId(), name: trimmed, color });
+    });
+    return true;
+  }
+
+  /**
+   * Rename a category and every todo's reference to it.
+   * @returns {boolean} False if the new name is empty or used by another category.
+   */
+  function rename(id, newName) {
+    const cat = categories.find((c) => c.id === id);
+    const trimmed = newName.trim();
+    if (!cat || !trimmed) return false;
+    const clash = findByName(trimmed);
+    if (clash && clash.id !== id) return false;
+    if (cat.name === trimmed) return true;
+    UndoHistory.batch(`rename category "${cat.name}"`, () => {
+      Todos.renameCategory(cat.name, trimmed);
+      commit(`rename category "${cat.name}"`, () => {
+        cat.name = trimmed;
+      });
+    });
+    return true;
+  }
+
+  function recolor(id, color) {
+    const cat = categories.find((c) => c.id === id);
+    if (!cat) return;
+    commit(`recolour category "${cat.name}"`, () => {
+      cat.color = color;
+    });
+  }
+
+  /** Fold one category into another: its todos move over and it is removed. */
+  function merge(sourceId, targetId) {
+    const source = categories.find((c) => c.id === sourceId);
+    const target = categories.find((c) => c.id === targetId);
+    if (!source || !target || source === target) return;
+    UndoHistory.batch(`merge category "${source.name}"`, () => {
+      Todos.renameCategory(source.name, target.name);
+      commit(`merge category "${source.name}"`, () => {
+        categories = categories.filter((c) => c.id !== sourceId);
+      });
+    });
+  }
+
+  /** Delete a category and remove it from every todo. */
+  function remove(id) {
+    const cat = categories.find((c) => c.id === id);
+    if (!cat) return;
+    UndoHistory.batch(`delete category "${cat.name}"`, () => {
+      Todos.removeCategory(cat.name);
+      commit(`delete category "${cat.name}"`, () => {
+        categories = categories.filter((c) => c.id !== id);
+      });
+    });
+  }
+
+  // ── Management dialog ───────────────────────────────────────────────────────
+
+  function escHtml(str) {
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Build one editable row of the management dialog.
+   * @param {{id:string, name:string, color:string}} cat
+   * @returns {HTMLElement}
+   */
+  function buildRow(cat) {
+    const li = document.createElement('li');
+    li.className = 'cat-manage-row';
+    li.dataset.id = cat.id;
+
+    const others = categories.filter((c) => c.id !== cat.id);
+    const usage = Todos.countCategory(cat.name);
+
+    li.innerHTML = `
+      <input type="color" class="cat-color-input" value="${escHtml(cat.color)}" aria-label="Colour for ${escHtml(cat.name)}">
+      <input type="text" class="options-input cat-name-input" value="${escHtml(cat.name)}" maxlength="40" aria-label="Name">
+      <span class="cat-usage" title="Tasks in this category">${usage}</span>
+      <select class="options-input options-select cat-merge-select" aria-label="Merge ${escHtml(cat.name)} into…" ${others.length ? '' : 'disabled'}>
+        <option value="">Merge into…</option>
+        ${others.map((o) => `<option value="${o.id}">${escHtml(o.name)}</option>`).join('')}
+      </select>
+      <button type="button" class="btn-icon btn-delete" title="Delete category" aria-label="Delete ${escHtml(cat.name)}">
+        <i class="fas fa-trash"></i>
+      </button>
+    `;
+
+    li.querySelector('.cat-color-input').addEventListener('change', (e) => recolor(cat.id, e.target.value));
+
+    const nameInput = li.querySelector('.cat-name-input');
+    nameInput.addEventListener('change', () => {
+      if (!rename(cat.id, nameInput.value)) {
+        showToast(`A category called "${nameInput.value.trim()}" already exists`, 'error');
+        nameInput.value = cat.name;
+      }
+    });
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') nameInput.blur();
+    });
+
+    li.querySelector('.cat-merge-select').addEventListener('change', (e) => {
+      const target = categories.find((c) => c.id === e.target.value);
+      if (!target) return;
+      if (confirm(`Merge "${cat.name}" into "${target.name}"? ${usage} task(s) will move.`)) {
+        merge(cat.id, target.id);
+        UndoHistory.offerUndo(`Merged "${cat.name}" into "${target.name}"`);
+      } else {
+        e.target.value = '';
+      }
+    });
+
+    li.querySelector('.btn-delete').addEventListener('click', () => {
+      if (usage > 0 && !confirm(`Delete "${cat.name}"? It will be removed from ${usage} task(s).`)) return;
+      remove(cat.id);
+      UndoHistory.offerUndo(`Deleted category "${cat.name}"`);
+    });
+
+    return li;
+  }
+
+  function renderManager() {
+    const listEl = document.getElementById('cat-manage-list');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    categories.forEach((cat) => listEl.appendChild(buildRow(cat)));
+  }
+
+  function initManager() {
+    const dialog = document.getElementById('categories-dialog');
+    const openBtn = document.getElementById('manage-categories-btn');
+    if (!dialog) return;
+
+    const close = () => {
+      dialog.hidden = true;
+      if (openBtn) openBtn.focus();
+    };
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => {
+        renderManager();
+        dialog.hidden = false;
+        document.getElementById('cat-new-name').focus();
+      });
+    }
+    dialog.querySelector('.modal-close').addEventListener('click', close);
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) close();
+    });
+    dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    const form = document.getElementById('cat-new-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const nameInput = document.getElementById('cat-new-name');
+      const colorInput = document.getElementById('cat-new-color');
+      const name = nameInput.value.trim();
+      if (!name) return;
+      if (!create(name, colorInput.value)) {
+        showToast(`A category called "${name}" already exists`, 'error');
+        return;
+      }
+      nameInput.value = '';
+    });
+
+    onChange(() => {
+      if (!dialog.hidden) renderManager();
+    });
+  }
+
+  // ── Public API ───────────────────────────────────────────────────────────────
+
+  async function init() {
+    await load();
+    initManager();
+  }
+
+  return {
+    init,
+    list,
+    names,
+    colorOf,
+    onChange,
+    create,
+    rename,
+    recolor,
+    merge,
+    remove,
+  };
+})();
@@ -0,0 +1,211 @@
+/**
+ * collections.js — Named collections of links
+ * Keeps the collections links can be filed in ("Thesis", "Thesis / Sources").
+ * A collection either sits at the top level or inside a top-level one —
+ * nesting goes one level deep. Links point at their collection by id; see
+ * links.js for the picker, the card menu and drag-and-drop.
+ */
+
+const Collections = (() => {
+  const STORAGE_KEY = 'vt_collections';
+
+  // ── Internal State ──────────────────────────────────────────────────────────
+
+  /** @type {Array<{id:string, name:string, parentId:?string, createdAt:number, updatedAt?:number}>} */
+  let collections = [];
+
+  /** Called after every change. */
+  const listeners = [];
+
+  // ── Persistence ─────────────────────────────────────────────────────────────
+
+  function genId() {
+    return `col_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  async function load() {
+    collections = await Sync.load(STORAGE_KEY, []);
+  }
+
+  function save() {
+    Sync.save(STORAGE_KEY, collections);
+  }
+
+  function changed() {
+    listeners.forEach((fn) => fn());
+  }
+
+  /** The collection list as seen by UndoHistory. */
+  const historyStore = {
+    get: () => collections,
+    set: (list) => {
+      collections = list;
+      save();
+      changed();
+    },
+  };
+
+  function commit(label, mutate) {
+    return UndoHistory.track(label, historyStore, mutate);
+  }
+
+  // ── Queries ─────────────────────────────────────────────────────────────────
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  /**
+   * Every collection, each top-level one followed by its children, by name.
+   * @returns {Array<{id:string, name:string, parentId:?string}>}
+   */
+  function all() {
+    return collections
+      .filter((c) => !c.parentId)
+      .sort(byName)
+      .flatMap((top) => [{ ...top }, ...children(top.id)]);
+  }
+
+  /** @returns {Array<{id:string, name:string, parentId:string}>} Sub-collections, by name. */
+  function children(parentId) {
+    return collections.filter((c) => c.parentId === parentId).sort(byName).map((c) => ({ ...c }));
+  }
+
+  function get(id) {
+    const col = collections.find((c) => c.id === id);
+    return col ? { ...col } : null;
+  }
+
+  /** "Parent / Child" for a sub-collection, the name otherwise. */
+  function path(id) {
+    const col = collections.find((c) => c.id === id);
+    if (!col) return '';
+    const parent = col.parentId && collections.find((c) => c.id === col.parentId);
+    return parent ? `${parent.name} / ${col.name}` : col.name;
+  }
+
+  /**
+   * Fill a <select> with "No collection" and every collection (children indented).
+   * @param {HTMLSelectElement} select
+   * @param {?string} selected
+   * @param {string} [noneLabel]
+   */
+  function fillSelect(select, selected, noneLabel = 'No collection') {
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = noneLabel;
+    select.appendChild(none);
+    all().forEach((c) => {
+      const option = document.createElement('option');
+      option.value = c.id;
+      option.textContent = c.parentId ? `  ↳ ${c.name}` : c.name;
+      select.appendChild(option);
+    });
+    select.value = selected && get(selected) ? selected : '';
+  }
+
+  /**
+   * Register a callback for changes to the collections.
+   * @param {function} fn
+   */
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  // ── Actions ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Create a collection.
+   * @param {string} name
+   * @param {?string} [parentId] - A top-level collection to nest it in.
+   * @returns {string|null} The new id, or null if the name is empty or taken
+   *   at that level, or the parent isn't a top-level collection.
+   */
+  function create(name, parentId = null) {
+    const trimmed = name.trim();
+    const parent = parentId ? collections.find((c) => c.id === parentId) : null;
+    // Only one level of nesting.
+    if (parentId && (!parent || parent.parentId)) return null;
+    const parentKey = parent ? parent.id : null;
+    if (!trimmed || collections.some((c) => c.parentId === parentKey && c.name.toLowerCase() === trimmed.toLowerCase())) {
+      return null;
+    }
+    const col = { id: genId(), name: trimmed, parentId: parentKey, createdAt: Date.now() };
+    commit(`create collection "${trimmed}"`, () => {
+      collections.push(col);
+    });
+    return col.id;
+  }
+
+  function rename(id, newName) {
+    const col = collections.find((c) => c.id === id);
+    const trimmed = newName.trim();
+    if (!col || !trimmed || trimmed === col.name) return false;
+    if (collections.some((c) => c.id !== id && c.parentId === col.parentId && c.name.toLowerCase() === trimmed.toLowerCase())) {
+      return false;
+    }
+    commit(`rename collection "${col.name}"`, () => {
+      col.name = trimmed;
+    });
+    return true;
+  }
+
+  /**
+   * Delete a collection and its sub-collections as one undoable step. Their
+   * links are kept, with no collection.
+   */
+  function remove(id) {
+    const col = collections.find((c) => c.id === id);
+    if (!col) return false;
+    const ids = [id, ...children(id).map((c) => c.id)];
+    UndoHistory.batch(`delete collection "${col.name}"`, () => {
+      Links.unfile(ids);
+      commit(`delete collection "${col.name}"`, () => {
+        collections = collections.filter((c) => !ids.includes(c.id));
+      });
+    });
+    return true;
+  }
+
+  /**
+   * Add collections from a backup that aren't here yet (matched by id).
+   * @param {Array<{id:string, name:string, parentId?:string}>} incoming
+   */
+  function importCollections(incoming) {
+    const known = new Set(collections.map((c) => c.id));
+    const fresh = incoming
+      .filter((c) => c && c.id && c.name && !known.has(c.id))
+      .map((c) => ({ id: c.id, name: c.name, parentId: c.parentId || null, createdAt: c.createdAt || Date.now() }));
+    if (fresh.length === 0) return;
+    commit(`import ${fresh.length} collection${fresh.length === 1 ? '' : 's'}`, () => {
+      collections.push(...fresh);
+    });
+  }
+
+  // ── Public API ───────────────────────────────────────────────────────────────
+
+  async function init() {
+    await load();
+
+    Storage.onRemoteChange(STORAGE_KEY, (change) => {
+      const merged = Storage.merge(collections, change);
+      const isNew = merged !== collections;
+      collections = merged;
+      save();
+      if (isNew) changed();
+    });
+  }
+
+  return {
+    init,
+    all,
+    children,
+    get,
+    path,
+    fillSelect,
+    onChange,
+    create,
+    rename,
+    remove,
+    importCollections,
+  };
+})();
@@ -0,0 +1,241 @@
+/**
+ * commands.js — Voice command layer for existing tasks
+ * Recognises spoken verbs ("complete buy milk", "delete the dentist task",
+ * "add subtask call insurer to taxes", "show overdue", "sort by deadline")
+ * and routes them to the Todos API instead of creating a new task. "Undo" and
+ * "redo" step through UndoHistory. Task names are matched within the open
+ * list; "switch to groceries" and "move buy milk to groceries" use Lists.
+ */
+
+const VoiceCommands = (() => {
+  /** Minimum similarity (0–1) for a spoken name to count as a match. */
+  const MATCH_THRESHOLD = 0.5;
+  /** Stricter minimum for commands that complete or delete the task they find. */
+  const DESTRUCTIVE_THRESHOLD = 0.7;
+
+  const FILTER_WORDS = {
+    all: 'all', everything: 'all',
+    active: 'active', open: 'active', pending: 'active', remaining: 'active',
+    completed: 'completed', done: 'completed', finished: 'completed',
+    overdue: 'overdue', late: 'overdue',
+  };
+
+  const SORT_WORDS = {
+    newest: 'newest', latest: 'newest', recent: 'newest',
+    oldest: 'oldest',
+    deadline: 'deadline', 'due date': 'deadline', date: 'deadline',
+    priority: 'priority', importance: 'priority',
+  };
+
+  const STOP_WORDS = new Set(['the', 'a', 'an', 'my', 'to', 'task', 'todo', 'item']);
+
+  // ── Fuzzy matching ───────────────────────────────────────────────────────────
+
+  function normalise(str) {
+    return str.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function tokens(str) {
+    return normalise(str).split(' ').filter((w) => w && !STOP_WORDS.has(w));
+  }
+
+  /** Character bigrams of a string, used for typo-tolerant comparison. */
+  function bigrams(str) {
+    const s = normalise(str).replace(/ /g, '');
+    const out = [];
+    for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+    return out;
+  }
+
+  /** Dice coefficient over two lists (0 = nothing shared, 1 = identical). */
+  function dice(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const pool = [...b];
+    let shared = 0;
+    a.forEach((x) => {
+      const i = pool.indexOf(x);
+      if (i !== -1) {
+        shared++;
+        pool.splice(i, 1);
+      }
+    });
+    return (2 * shared) / (a.length + b.length);
+  }
+
+  /**
+   * Score how well a spoken name matches a task's text.
+   * Whole-word containment wins outright; otherwise the better of a word-level
+   * and a character-level comparison is used so "dentist" still finds
+   * "Book dentist appointment" and "by milk" still finds "Buy milk".
+   */
+  function similarity(spoken, text) {
+    const s = tokens(spoken);
+    const t = tokens(text);
+    if (s.length === 0) return 0;
+    if (s.every((w) => t.includes(w))) return 0.75 + 0.25 * (s.length / t.length);
+    return Math.max(dice(s, t), dice(bigrams(s.join(' ')), bigrams(t.join(' '))));
+  }
+
+  /**
+   * Find the todo whose text best matches the spoken name.
+   * @param {string} spoken
+   * @param {function} [predicate] - Restrict the candidates (e.g. only open tasks).
+   * @param {number} [threshold] - Minimum similarity for the best candidate.
+   * @returns {object|null}
+   */
+  function findTask(spoken, predicate = () => true, threshold = MATCH_THRESHOLD) {
+    let best = null;
+    let bestScore = 0;
+    const listId = Lists.current();
+    Todos.getAll().filter((t) => t.listId === listId && predicate(t)).forEach((todo) => {
+      const score = similarity(spoken, todo.text);
+      if (score > bestScore) {
+        best = todo;
+        bestScore = score;
+      }
+    });
+    return bestScore >= threshold ? best : null;
+  }
+
+  /** Strip filler around a spoken task name: "the dentist task" → "dentist". */
+  function cleanName(name) {
+    return name
+      .replace(/^(?:the|my)\s+/i, '')
+      .replace(/\s+(?:task|todo|item)$/i, '')
+      .trim();
+  }
+
+  /**
+   * No task matches the spoken name. Say so rather than adding the command as
+   * a task, but offer to add it, since a new task may start with a command
+   * verb ("complete the tax return").
+   * @param {string} name - The spoken task name.
+   * @param {function} [addAsTask] - Adds the whole transcript as a new task.
+   */
+  function notFound(name, addAsTask) {
+    showToast(`No task matching "${name}"`, 'error',
+      addAsTask ? { label: 'Add as task', onClick: addAsTask } : null);
+  }
+
+  // ── Grammar ──────────────────────────────────────────────────────────────────
+  // Rules are tried in order; the first matching pattern handles the transcript.
+
+  const RULES = [
+    {
+      // "undo", "undo that", "redo"
+      re: /^(undo|redo)(?:\s+(?:that|it|the\s+last\s+(?:change|action)))?$/i,
+      run(m) {
+        if (m[1].toLowerCase() === 'undo') UndoHistory.undo();
+        else UndoHistory.redo();
+      },
+    },
+    {
+      // "add subtask call insurer to taxes"
+      re: /^add\s+(?:a\s+)?sub-?\s?task\s+(.+?)\s+(?:to|for|under)\s+(.+)$/i,
+      run(m, addAsTask) {
+        const name = cleanName(m[2]);
+        const todo = findTask(name);
+        if (!todo) return notFound(name, addAsTask);
+        Todos.addSubtask(todo.id, m[1]);
+        UndoHistory.offerUndo(`Added subtask to "${todo.text}"`);
+      },
+    },
+    {
+      // "complete buy milk", "mark the dentist task as done", "check off buy milk"
+      re: /^(?:complete|tick\s+off|check\s+off|mark\s+(.+?)\s+as\s+(?:done|complete|completed|finished))\b\s*(.*)$/i,
+      run(m, addAsTask) {
+        const name = cleanName(m[1] || m[2]);
+        const todo = findTask(name, (t) => !t.completed, DESTRUCTIVE_THRESHOLD);
+        if (!todo) return notFound(name, addAsTask);
+        Todos.toggle(todo.id);
+        UndoHistory.offerUndo(`Completed "${todo.text}"`);
+      },
+    },
+    {
+      // "uncheck buy milk", "reopen the dentist task"
+      re: /^(?:uncheck|reopen|undo\s+complete|mark\s+(.+?)\s+as\s+(?:not\s+done|incomplete|active))\b\s*(.*)$/i,
+      run(m, addAsTask) {
+        const name = cleanName(m[1] || m[2]);
+        const todo = findTask(name, (t) => t.completed);
+        if (!todo) return notFound(name, addAsTask);
+        Todos.toggle(todo.id);
+        UndoHistory.offerUndo(`Reopened "${todo.text}"`);
+      },
+    },
+    {
+      // "move buy milk to groceries", "move the dentist task to the team sprint list"
+      re: /^move\s+(.+?)\s+(?:to|into)\s+(?:the\s+)?(.+?)(?:\s+list)?$/i,
+      run(m, addAsTask) {
+        const list = Lists.findByName(m[2]);
+        if (!list) return false;
+        const name = cleanName(m[1]);
+        const todo = findTask(name);
+        if (!todo) return notFound(name, addAsTask);
+        Todos.moveToList(todo.id, list.id);
+        UndoHistory.offerUndo(`Moved "${todo.text}" to ${list.name}`);
+      },
+    },
+    {
+      // "switch to groceries", "open the team sprint list"
+      re: /^(?:switch\s+to|go\s+to|open)\s+(?:the\s+)?(?:(.+?)\s+list|list\s+(.+))$|^switch\s+to\s+(?:the\s+)?(.+)$/i,
+      run(m) {
+        const list = Lists.findByName(m[1] || m[2] || m[3]);
+        if (!list) return false;
+        Lists.open(list.id);
+        showToast(`Opened ${list.name}`, 'info');
+      },
+    },
+    {
+      // "delete the dentist task", "remove buy milk"
+      re: /^(?:delete|remove)\s+(.+)$/i,
+      run(m, addAsTask) {
+        const name = cleanName(m[1]);
+        const todo = findTask(name, undefined, DESTRUCTIVE_THRESHOLD);
+        if (!todo) return notFound(name, addAsTask);
+        Todos.remove(todo.id);
+        UndoHistory.offerUndo(`Deleted "${todo.text}"`);
+      },
+    },
+    {
+      // "show overdue", "show all tasks", "filter completed"
+      re: /^(?:show|filter|list)\s+(?:me\s+)?(?:the\s+)?(?:only\s+)?(\w+)(?:\s+(?:tasks|todos|items))?$/i,
+      run(m) {
+        const filter = FILTER_WORDS[m[1].toLowerCase()];
+        if (!filter) return false;
+        Todos.setFilter(filter);
+        showToast(`Showing ${filter} tasks`, 'info');
+      },
+    },
+    {
+      // "sort by deadline", "sort newest first", "sort by due date"
+      re: /^(?:sort|order)\s+(?:by\s+)?(?:the\s+)?(.+?)(?:\s+first)?$/i,
+      run(m) {
+        const sort = SORT_WORDS[m[1].toLowerCase()];
+        if (!sort) return false;
+        Todos.setSort(sort);
+        showToast(`Sorted by ${sort}`, 'info');
+      },
+    },
+  ];
+
+  // ── Public API ───────────────────────────────────────────────────────────────
+
+  /**
+   * Try to run a transcript as a command.
+   * @param {string} transcript
+   * @param {function} [addAsTask] - Offered when a command names a task that
+   *   doesn't exist; adds the transcript as a new task instead.
+   * @returns {boolean} True if the transcript was a command (even one whose
+   *   task wasn't found); false if it should be treated as a new task.
+   */
+  function run(transcript, addAsTask) {
+    const text = transcript.trim().replace(/[.!?]+$/, '');
+    for (const rule of RULES) {
+      const m = text.match(rule.re);
+      if (m && rule.run(m, addAsTask) !== false) return true;
+    }
+    return false;
+  }
+
+  return { run, findTask };
+})();
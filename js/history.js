@@ -0,0 +1,225 @@
+/**
+ * history.js — Undo/redo for todo and link changes
+ * Modules run their mutations through `track()`, which records which records
+ * changed so the change can be reversed (and re-applied) later. Only the
+ * touched records, and in them the touched fields, are restored, so undoing
+ * one change leaves others alone — including fields that change without an
+ * undo step, such as a link's read status or health.
+ */
+
+const UndoHistory = (() => {
+  /** Oldest entries are dropped beyond this many. */
+  const MAX_ENTRIES = 100;
+
+  /** @type {Array<{label:string, undo:function, redo:function}>} */
+  let undoStack = [];
+  /** @type {Array<{label:string, undo:function, redo:function}>} */
+  let redoStack = [];
+  /** Entries collected by `batch()`, or null outside a batch. */
+  let pending = null;
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // ── Record diffs ────────────────────────────────────────────────────────────
+
+  /**
+   * List the records that differ between two versions of a list, with their
+   * positions so removed records can be put back where they were.
+   * @param {Array<{id:string}>} before
+   * @param {Array<{id:string}>} after
+   * @returns {Array<{id:string, before:?{record:object, index:number}, after:?{record:object, index:number}}>}
+   */
+  function diff(before, after) {
+    const index = (list) => new Map(list.map((record, i) => [record.id, { record, index: i }]));
+    const beforeById = index(before);
+    const afterById = index(after);
+    const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+    const changes = [];
+    ids.forEach((id) => {
+      const b = beforeById.get(id) || null;
+      const a = afterById.get(id) || null;
+      if (b && a && JSON.stringify(b.record) === JSON.stringify(a.record)) return;
+      changes.push({ id, before: b, after: a && { record: clone(a.record), index: a.index } });
+    });
+    return changes;
+  }
+
+  /**
+   * One side of a changed record, on top of its current version: fields the
+   * change didn't touch keep their current values.
+   * @param {?object} current - The record as it is now, if it still exists.
+   * @param {ReturnType<typeof diff>[number]} change
+   * @param {'before'|'after'} side
+   * @returns {object}
+   */
+  function restore(current, change, side) {
+    const wanted = change[side].record;
+    if (!current || !change.before || !change.after) return clone(wanted);
+    const other = change[side === 'before' ? 'after' : 'before'].record;
+    const out = { ...current };
+    new Set([...Object.keys(wanted), ...Object.keys(other)]).forEach((key) => {
+      if (JSON.stringify(wanted[key]) === JSON.stringify(other[key])) return;
+      if (key in wanted) out[key] = clone(wanted[key]);
+      else delete out[key];
+    });
+    return out;
+  }
+
+  /**
+   * Bring the changed records of a list to one side of a diff.
+   * @param {Array<{id:string}>} list - Current list (not modified).
+   * @param {ReturnType<typeof diff>} changes
+   * @param {'before'|'after'} side
+   * @returns {Array<{id:string}>} A new list.
+   */
+  function applyChanges(list, changes, side) {
+    const byId = new Map(changes.map((c) => [c.id, c]));
+    const out = list
+      .filter((r) => !byId.has(r.id) || byId.get(r.id)[side] !== null)
+      .map((r) => (byId.has(r.id) ? restore(r, byId.get(r.id), side) : r));
+    const present = new Set(out.map((r) => r.id));
+    changes
+      .filter((c) => c[side] && !present.has(c.id))
+      .sort((x, y) => x[side].index - y[side].index)
+      .forEach((c) => out.splice(Math.min(c[side].index, out.length), 0, clone(c[side].record)));
+    return out;
+  }
+
+  // ── Recording ────────────────────────────────────────────────────────────────
+
+  /**
+   * Push an undoable entry. Clears the redo stack.
+   * @param {{label:string, undo:function, redo:function}} entry
+   */
+  function record(entry) {
+    if (pending) {
+      pending.push(entry);
+      return;
+    }
+    undoStack.push(entry);
+    if (undoStack.length > MAX_ENTRIES) undoStack.shift();
+    redoStack = [];
+  }
+
+  /**
+   * Run a mutation on a list of records and record it for undo.
+   * @param {string} label - Shown in toasts, e.g. 'delete "Buy milk"'.
+   * @param {{get: function(): Array<{id:string}>, set: function(Array<{id:string}>)}} store
+   *   `set` replaces the list, saves it and re-renders.
+   * @param {function(): (boolean|void)} mutate - Changes the list in place or
+   *   through `store.set`; return false to cancel.
+   * @returns {boolean} False if the mutation was cancelled.
+   */
+  function track(label, store, mutate) {
+    const before = clone(store.get());
+    if (mutate() === false) return false;
+    const changes = diff(before, store.get());
+    store.set(store.get());
+    if (changes.length === 0) return true;
+    record({
+      label,
+      undo: () => store.set(applyChanges(store.get(), changes, 'before')),
+      redo: () => store.set(applyChanges(store.get(), changes, 'after')),
+    });
+    return true;
+  }
+
+  /**
+   * Run several tracked changes as one undoable step.
+   * @param {string} label
+   * @param {function} fn
+   */
+  function batch(label, fn) {
+    const outer = pending;
+    const entries = [];
+    pending = entries;
+    try {
+      fn();
+    } finally {
+      pending = outer;
+    }
+    if (entries.length === 0) return;
+    if (entries.length === 1) {
+      record(entries[0]);
+      return;
+    }
+    record({
+      label,
+      undo: () => [...entries].reverse().forEach((e) => e.undo()),
+      redo: () => entries.forEach((e) => e.redo()),
+    });
+  }
+
+  // ── Undo / redo ──────────────────────────────────────────────────────────────
+
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  /** Undo the latest change and say what was undone. */
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+      showToast('Nothing to undo', 'info');
+      return false;
+    }
+    entry.undo();
+    redoStack.push(entry);
+    showToast(`Undone: ${entry.label}`, 'info', { label: 'Redo', onClick: redo });
+    return true;
+  }
+
+  /** Re-apply the latest undone change. */
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+      showToast('Nothing to redo', 'info');
+      return false;
+    }
+    entry.redo();
+    undoStack.push(entry);
+    showToast(`Redone: ${entry.label}`, 'info', { label: 'Undo', onClick: undo });
+    return true;
+  }
+
+  /**
+   * Show a toast for a change that was just recorded, with an Undo button.
+   * @param {string} message
+   * @param {'info'|'error'|'success'} [type='success']
+   */
+  function offerUndo(message, type = 'success') {
+    showToast(message, type, { label: 'Undo', onClick: undo });
+  }
+
+  // ── Keyboard shortcuts ───────────────────────────────────────────────────────
+
+  function isTextField(el) {
+    if (!el || !el.matches) return false;
+    return el.isContentEditable
+      || el.matches('textarea, select, input:not([type="checkbox"]):not([type="radio"]):not([type="button"])');
+  }
+
+  /** Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo — except while typing, where the field's own undo applies. */
+  function init() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTextField(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    });
+  }
+
+  return { init, record, track, batch, undo, redo, canUndo, canRedo, offerUndo };
+})();
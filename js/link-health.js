@@ -0,0 +1,114 @@
+/**
+ * link-health.js — Background checks for dead and moved links
+ * While a link proxy is set (see link-meta.js), saved links are requested
+ * a few at a time, oldest check first, and each link's result is stored on
+ * it as `health`: ok, redirected (with the new address), missing (404/410),
+ * error (any other failing status) or unreachable. A link is checked again
+ * once its last check is a week old.
+ */
+
+const LinkHealth = (() => {
+  /** How often to look for links due a check. */
+  const TICK_MS = 5 * 60 * 1000;
+  /** First round after start-up, once the app has settled. */
+  const START_DELAY_MS = 15 * 1000;
+  const RECHECK_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+  /** Links checked per round. */
+  const BATCH = 10;
+  const LOCK_NAME = 'voicedo-link-health';
+
+  let timer = null;
+  let running = false;
+
+  // ── Checking ────────────────────────────────────────────────────────────────
+
+  /**
+   * Request a URL through the proxy and classify the answer.
+   * @param {string} url
+   * @returns {Promise<{status:'ok'|'redirected'|'missing'|'error'|'unreachable', code:?number, finalUrl:?string, checkedAt:number}>}
+   */
+  async function check(url) {
+    const result = (status, code = null, finalUrl = null) => ({ status, code, finalUrl, checkedAt: Date.now() });
+    let res;
+    try {
+      res = await LinkMeta.request(url, { method: 'HEAD' });
+      // Some servers refuse HEAD; ask again properly.
+      if (res.status === 405 || res.status === 501) res = await LinkMeta.request(url);
+    } catch (_) {
+      return result('unreachable');
+    }
+
+    // A proxy that doesn't follow redirects passes them on with a Location.
+    const location = res.headers.get('X-Final-Url')
+      || (res.status >= 300 && res.status < 400 ? res.headers.get('Location') : null);
+    let finalUrl = null;
+    if (location) {
+      try {
+        finalUrl = new URL(location, url).href;
+      } catch (_) {
+        finalUrl = null;
+      }
+    }
+
+    if (res.status === 404 || res.status === 410) return result('missing', res.status);
+    if (res.status === 502 || res.status === 504) return result('unreachable', res.status);
+    if (res.status >= 400) return result('error', res.status);
+    if (finalUrl && !Links.samePage(finalUrl, url)) return result('redirected', res.status, finalUrl);
+    return result('ok', res.status);
+  }
+
+  /**
+   * Check one link now and store the result.
+   * @param {string} id
+   */
+  async function checkLink(id) {
+    const link = Links.getAll().find((l) => l.id === id);
+    if (!link || !LinkMeta.enabled()) return;
+    Links.setHealth(id, await check(link.url));
+  }
+
+  /** Check the links whose last check is oldest, if they're due. */
+  async function checkDue() {
+    if (running || !LinkMeta.enabled() || !navigator.onLine) return;
+    running = true;
+    try {
+      const round = async () => {
+        const now = Date.now();
+        const due = Links.getAll()
+          .filter((l) => !l.health || now - l.health.checkedAt > RECHECK_AFTER_MS)
+          .sort((a, b) => (a.health ? a.health.checkedAt : 0) - (b.health ? b.health.checkedAt : 0))
+          .slice(0, BATCH);
+        for (const link of due) await checkLink(link.id);
+      };
+      // One tab checks at a time; the others skip the round.
+      if (navigator.locks) {
+        await navigator.locks.request(LOCK_NAME, { ifAvailable: true }, (lock) => lock && round());
+      } else {
+        await round();
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  // ── Setup ───────────────────────────────────────────────────────────────────
+
+  function schedule() {
+    clearInterval(timer);
+    timer = null;
+    if (!LinkMeta.enabled()) return;
+    timer = setInterval(checkDue, TICK_MS);
+  }
+
+  function init() {
+    schedule();
+    setTimeout(checkDue, START_DELAY_MS);
+    document.addEventListener('settingchange', (e) => {
+      if (e.detail.key !== 'vt_link_proxy') return;
+      schedule();
+      checkDue();
+    });
+  }
+
+  return { init, check, checkLink, checkDue };
+})();
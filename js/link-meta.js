@@ -0,0 +1,126 @@
+/**
+ * link-meta.js — Page metadata for saved links
+ * Browsers can't read other sites' pages directly, so pages are requested
+ * through a local proxy configured in Settings → Links:
+ *
+ *   GET <proxy>?url=<encoded page URL>
+ *     → the page's HTML, with CORS headers (`Access-Control-Allow-Origin`).
+ *       The page's status code is passed through, the address it ended up
+ *       at after redirects is sent as `X-Final-Url` (listed in
+ *       `Access-Control-Expose-Headers`), and a page that can't be reached
+ *       is answered with 502. HEAD works the same, without the body.
+ *
+ * From the HTML the page title, `og:title`, `og:description` (or the plain
+ * `description` meta tag), `og:image` and the canonical URL are read.
+ * Without a proxy nothing is fetched and links keep their heuristic
+ * descriptions. LinkHealth checks links through the same proxy.
+ */
+
+const LinkMeta = (() => {
+  const PROXY_KEY = 'vt_link_proxy';
+  const TIMEOUT_MS = 10 * 1000;
+  /** Longest title or description kept, in characters. */
+  const MAX_TEXT = 300;
+
+  let proxy = '';
+
+  // ── Helpers ─────────────────────────────────────────────────────────────────
+
+  function proxyUrl(url) {
+    return `${proxy}${proxy.includes('?') ? '&' : '?'}url=${encodeURIComponent(url)}`;
+  }
+
+  function clean(text) {
+    const s = (text || '').replace(/\s+/g, ' ').trim();
+    return s ? s.slice(0, MAX_TEXT) : null;
+  }
+
+  /** Resolve a possibly relative URL from the page; null unless it is http(s). */
+  function absolute(href, base) {
+    if (!href) return null;
+    try {
+      const url = new URL(href.trim(), base);
+      return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // ── Parsing ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Read the metadata of a page.
+   * @param {string} html
+   * @param {string} url - The page's address, for resolving relative links.
+   * @returns {{title:?string, ogTitle:?string, description:?string, image:?string, canonical:?string}}
+   */
+  function parse(html, url) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const meta = (...names) => {
+      for (const name of names) {
+        const el = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        if (el && el.getAttribute('content')) return el.getAttribute('content');
+      }
+      return null;
+    };
+    const titleEl = doc.querySelector('title');
+    const canonicalEl = doc.querySelector('link[rel~="canonical"]');
+    return {
+      title: clean(titleEl && titleEl.textContent),
+      ogTitle: clean(meta('og:title', 'twitter:title')),
+      description: clean(meta('og:description', 'description', 'twitter:description')),
+      image: absolute(meta('og:image', 'og:image:url', 'twitter:image'), url),
+      canonical: absolute(canonicalEl && canonicalEl.getAttribute('href'), url),
+    };
+  }
+
+  // ── Public API ───────────────────────────────────────────────────────────────
+
+  /** @returns {boolean} Whether a proxy is configured. */
+  function enabled() {
+    return !!proxy;
+  }
+
+  /**
+   * Request a page through the proxy.
+   * @param {string} url
+   * @param {RequestInit} [options]
+   * @returns {Promise<Response>} Rejects without a proxy, on network errors and on timeout.
+   */
+  async function request(url, options = {}) {
+    if (!proxy) throw new Error('No link proxy set');
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+      return await fetch(proxyUrl(url), { ...options, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch a page's metadata through the proxy.
+   * @param {string} url
+   * @returns {Promise<ReturnType<typeof parse>|null>} Null without a proxy or when the page can't be read.
+   */
+  async function fetchMeta(url) {
+    if (!proxy) return null;
+    try {
+      const res = await request(url);
+      if (!res.ok) return null;
+      return parse(await res.text(), url);
+    } catch (e) {
+      console.warn('Could not fetch page details for', url, e);
+      return null;
+    }
+  }
+
+  async function init() {
+    proxy = (await Storage.get(PROXY_KEY, '')).trim();
+    document.addEventListener('settingchange', (e) => {
+      if (e.detail.key === PROXY_KEY) proxy = String(e.detail.value).trim();
+    });
+  }
+
+  return { init, enabled, request, fetchMeta, parse };
+})();
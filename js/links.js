@@ -1,24 +1,127 @@
 /**
  * links.js — Smart Link Manager logic
  * Handles adding, auto-describing, editing, deleting, and rendering links.
+ * With a link proxy configured, page titles and previews are fetched by
+ * LinkMeta; descriptions the user has edited are never overwritten.
+ * LinkHealth records whether each link still works. Links move through a
+ * reading lifecycle — unread, read, archived — and opening one marks it read.
+ * Links can be filed in Collections and viewed by date or by collection.
  */
 
 const Links = (() => {
   const STORAGE_KEY = 'vt_links';
+  const FILTERS_KEY = 'vt_link_filters';
+
+  /** Tags suggested for well-known sites. */
+  const DOMAIN_TAGS = {
+    'github.com': 'code',
+    'gitlab.com': 'code',
+    'stackoverflow.com': 'code',
+    'developer.mozilla.org': 'docs',
+    'youtube.com': 'video',
+    'vimeo.com': 'video',
+    'medium.com': 'article',
+    'substack.com': 'article',
+    'wikipedia.org': 'reference',
+    'arxiv.org': 'paper',
+    'reddit.com': 'discussion',
+    'news.ycombinator.com': 'discussion',
+    'amazon.com': 'shopping',
+  };
 
   // ── Internal State ──────────────────────────────────────────────────────────
 
-  /** @type {Array<{id:string, url:string, description:string, createdAt:number}>} */
+  /**
+   * @typedef {{title:?string, description:?string, image:?string, canonical:?string, fetchedAt:number}} PageMeta
+   * @typedef {{status:string, code:?number, finalUrl:?string, checkedAt:number}} Health
+   * @type {Array<{id:string, url:string, description:string, descriptionEdited:boolean,
+   *   meta:?PageMeta, tags:string[], health:?Health, status:'unread'|'read'|'archived',
+   *   readAt:?number, collectionId:?string, createdAt:number}>}
+   */
   let links = [];
 
+  /** Reading states, in lifecycle order. */
+  const STATUSES = ['unread', 'read', 'archived'];
+
+  /** Reading-status tab of the links panel: one of STATUSES, or 'all'. */
+  let currentStatus = 'all';
+  /** Search box, domain and tag filters of the links panel; `broken` shows only links that need attention. */
+  let filters = { query: '', domain: '', tags: [], broken: false };
+  /** @type {'newest'|'oldest'|'title'|'domain'} */
+  let currentSort = 'newest';
+  /** @type {'date'|'collection'} */
+  let currentView = 'date';
+
+  /** Called after links are added, removed or changed (not on health checks). */
+  const listeners = [];
+
+  /** MIME type used to drag a link card onto a collection. */
+  const DRAG_TYPE = 'application/x-voicedo-link';
+
   // ── Persistence ─────────────────────────────────────────────────────────────
 
-  function load() {
-    links = Storage.get(STORAGE_KEY, []);
+  /**
+   * Schema migrations for saved links, oldest first (see Storage.load).
+   * Never change or reorder one that has shipped — append a new one.
+   */
+  const MIGRATIONS = [
+    // 1: drop entries without a URL and fill in ids, descriptions and dates
+    (list) => list
+      .filter((l) => l && typeof l.url === 'string' && l.url.trim())
+      .map((l, i) => {
+        const url = /^https?:\/\//i.test(l.url.trim()) ? l.url.trim() : `https://${l.url.trim()}`;
+        return {
+          ...l,
+          id: l.id || `link_${Date.now()}_${i}_${Math.random().toString(36).slice(2, 7)}`,
+          url,
+          description: typeof l.description === 'string' && l.description.trim() ? l.description : autoDescribe(url),
+          createdAt: typeof l.createdAt === 'number' ? l.createdAt : Date.now(),
+        };
+      }),
+    // 2: fetched page metadata; descriptions that differ from the heuristic were edited by hand
+    (list) => list.map((l) => ({ meta: null, descriptionEdited: l.description !== autoDescribe(l.url), ...l })),
+    // 3: tags
+    (list) => list.map((l) => ({ tags: [], ...l })),
+    // 4: link health checks
+    (list) => list.map((l) => ({ health: null, ...l })),
+    // 5: reading status
+    (list) => list.map((l) => ({ status: 'unread', readAt: null, ...l })),
+    // 6: collections
+    (list) => list.map((l) => ({ collectionId: null, ...l })),
+  ];
+
+  async function load() {
+    links = await Sync.load(STORAGE_KEY, MIGRATIONS);
+    // Records come back unordered; newest first.
+    links.sort((a, b) => b.createdAt - a.createdAt);
   }
 
   function save() {
-    Storage.set(STORAGE_KEY, links);
+    Sync.save(STORAGE_KEY, links);
+  }
+
+  function changed() {
+    listeners.forEach((fn) => fn());
+  }
+
+  /** The link list as seen by UndoHistory. */
+  const historyStore = {
+    get: () => links,
+    set: (list) => {
+      links = list;
+      save();
+      render();
+      changed();
+    },
+  };
+
+  /**
+   * Apply a change to the link list, save, re-render and record it for undo.
+   * @param {string} label
+   * @param {function(): (boolean|void)} mutate - Return false to cancel.
+   */
+  function commit(label, mutate) {
+    return UndoHistory.track(label, historyStore, mutate);
   }
 
   // ── Auto-description ─────────────────────────────────────────────────────────
@@ -58,43 +161,422 @@ const Links = (() => {
     }
   }
 
+  /** The description a link shows until the user edits it. */
+  function defaultDescription(link) {
+    return (link.meta && link.meta.title) || autoDescribe(link.url);
+  }
+
+  // ── Page metadata ────────────────────────────────────────────────────────────
+
+  /**
+   * Fetch a link's page details and store them. Not an undoable change: the
+   * link itself was already recorded when it was added.
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether details were found.
+   */
+  async function refreshMeta(id) {
+    const link = links.find((l) => l.id === id);
+    if (!link) return false;
+    const page = await LinkMeta.fetchMeta(link.url);
+    // The link may have been deleted or replaced (undo, another tab) meanwhile.
+    const current = links.find((l) => l.id === id);
+    if (!page || !current) return false;
+    current.meta = {
+      title: page.ogTitle || page.title,
+      description: page.description,
+      image: page.image,
+      canonical: page.canonical,
+      fetchedAt: Date.now(),
+    };
+    if (!current.descriptionEdited) current.description = defaultDescription(current);
+    save();
+    // Don't throw away a description the user is typing.
+    if (!document.querySelector('#link-list .editing-desc')) render();
+    changed();
+    return true;
+  }
+
+  /** Fetch details for every link that has none yet, one at a time. */
+  async function fetchMissing() {
+    if (!LinkMeta.enabled()) {
+      showToast('Set a link proxy first', 'error');
+      return;
+    }
+    const pending = links.filter((l) => !l.meta).map((l) => l.id);
+    if (pending.length === 0) {
+      showToast('Every link already has its page details', 'info');
+      return;
+    }
+    showToast(`Fetching details for ${pending.length} link(s)…`, 'info');
+    let found = 0;
+    for (const id of pending) {
+      if (await refreshMeta(id)) found++;
+    }
+    showToast(`Fetched details for ${found} of ${pending.length} link(s)`, found ? 'success' : 'info');
+  }
+
+  // ── URL normalisation ────────────────────────────────────────────────────────
+
+  /** Query parameters that only track where a click came from. */
+  const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|ref_src)$/i;
+
+  /**
+   * Tidy a URL for saving without changing the page it points to: add
+   * https:// if missing, lowercase the host, drop the default port, tracking
+   * parameters, empty fragments and text fragments (`#:~:text=`).
+   * @param {string} raw
+   * @returns {string}
+   */
+  function normaliseUrl(raw) {
+    const trimmed = raw.trim();
+    const withProtocol = /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    let url;
+    try {
+      url = new URL(withProtocol);
+    } catch (_) {
+      return withProtocol;
+    }
+    [...url.searchParams.keys()].filter((k) => TRACKING_PARAMS.test(k)).forEach((k) => url.searchParams.delete(k));
+    if (url.hash.startsWith('#:~:')) url.hash = '';
+    // URL serialisation lowercases the host and drops default ports; leftover "?" or "#" go too.
+    return url.href.replace(/\?(?=#|$)/, '').replace(/#$/, '');
+  }
+
+  /**
+   * The identity of a page for duplicate detection: a normalised URL that
+   * also ignores http vs https, "www.", a trailing slash and in-page anchors
+   * (but not `#/…` or `#!…` app routes).
+   * @param {string} raw
+   * @returns {string}
+   */
+  function urlKey(raw) {
+    let url;
+    try {
+      url = new URL(normaliseUrl(raw));
+    } catch (_) {
+      return raw.trim().toLowerCase();
+    }
+    const host = url.host.replace(/^www\./, '');
+    const path = url.pathname.replace(/\/+$/, '');
+    const hash = /^#[!/]/.test(url.hash) ? url.hash : '';
+    return `${host}${path}${url.search}${hash}`;
+  }
+
+  /** Every key a link is known by: its URL and, once fetched, its canonical URL. */
+  function linkKeys(link) {
+    const keys = [urlKey(link.url)];
+    if (link.meta && link.meta.canonical) keys.push(urlKey(link.meta.canonical));
+    return keys;
+  }
+
+  /** @returns {object|null} The saved link for the same page as `url`. */
+  function findDuplicate(url) {
+    const key = urlKey(url);
+    return links.find((l) => linkKeys(l).includes(key)) || null;
+  }
+
+  /** Move a link to the top of the list, as if it had just been saved. */
+  function bump(id) {
+    const link = links.find((l) => l.id === id);
+    if (!link) return;
+    commit(`move ${link.url} to the top`, () => {
+      link.createdAt = Date.now();
+      links = [link, ...links.filter((l) => l.id !== id)];
+    });
+  }
+
+  /**
+   * Normalise every saved URL and merge links that point to the same page.
+   * The oldest copy is kept, with the tags of all of them, the first edited
+   * description and any fetched details; tasks the others were attached to
+   * get the kept one instead. Undoable as one change.
+   * @returns {{normalised:number, merged:number}}
+   */
+  function cleanUp() {
+    const result = { normalised: 0, merged: 0 };
+    /** Merged link id → id of the link kept in its place. */
+    const replacements = new Map();
+    UndoHistory.batch('clean up links', () => {
+      commit('clean up links', () => {
+        const byKey = new Map();
+        const kept = [];
+        [...links].sort((a, b) => a.createdAt - b.createdAt).forEach((link) => {
+          const url = normaliseUrl(link.url);
+          if (url !== link.url) {
+            link.url = url;
+            result.normalised++;
+          }
+          const key = urlKey(url);
+          const first = byKey.get(key);
+          if (!first) {
+            byKey.set(key, link);
+            kept.push(link);
+            return;
+          }
+          first.tags = [...new Set([...first.tags, ...link.tags])];
+          if (!first.descriptionEdited && link.descriptionEdited) {
+            first.description = link.description;
+            first.descriptionEdited = true;
+          }
+          if (!first.meta && link.meta) first.meta = link.meta;
+          replacements.set(link.id, first.id);
+          result.merged++;
+        });
+        if (result.normalised === 0 && result.merged === 0) return false;
+        const survivors = new Set(kept);
+        links = links.filter((l) => survivors.has(l));
+      });
+      if (replacements.size) Todos.replaceLinkRefs(replacements);
+    });
+    return result;
+  }
+
+  /** Do two URLs point to the same page (see urlKey)? */
+  function samePage(a, b) {
+    return urlKey(a) === urlKey(b);
+  }
+
+  // ── Link health ──────────────────────────────────────────────────────────────
+
+  /** Health states that mean the link no longer works. */
+  const DEAD = ['missing', 'unreachable'];
+
+  function needsAttention(link) {
+    return !!link.health && link.health.status !== 'ok';
+  }
+
+  /**
+   * Store the result of a health check. Like fetched details, not undoable.
+   * @param {string} id
+   * @param {Health} health
+   */
+  function setHealth(id, health) {
+    const link = links.find((l) => l.id === id);
+    if (!link) return;
+    link.health = health;
+    save();
+    if (!document.querySelector('#link-list .editing-desc')) render();
+  }
+
+  /**
+   * Point every redirected link at the address it now redirects to, unless
+   * that page is saved already. Undoable as one change.
+   * @returns {number} How many links were updated.
+   */
+  function updateRedirected() {
+    let updated = 0;
+    commit('update redirected links', () => {
+      links.forEach((link) => {
+        if (!link.health || link.health.status !== 'redirected' || !link.health.finalUrl) return;
+        const url = normaliseUrl(link.health.finalUrl);
+        const other = findDuplicate(url);
+        if (other && other.id !== link.id) return;
+        link.url = url;
+        link.health = { ...link.health, status: 'ok', finalUrl: null };
+        if (!link.descriptionEdited && !link.meta) link.description = autoDescribe(url);
+        updated++;
+      });
+      if (updated === 0) return false;
+    });
+    return updated;
+  }
+
+  /**
+   * Delete every link whose page is gone or unreachable. Undoable as one change.
+   * @returns {number} How many links were removed.
+   */
+  function removeDead() {
+    const dead = links.filter((l) => l.health && DEAD.includes(l.health.status));
+    if (dead.length === 0) return 0;
+    commit(`remove ${dead.length} dead link${dead.length === 1 ? '' : 's'}`, () => {
+      links = links.filter((l) => !dead.includes(l));
+    });
+    return dead.length;
+  }
+
+  /** Show how many links are broken, with the bulk actions for them. */
+  function renderHealthBar() {
+    const bar = document.getElementById('link-health-bar');
+    if (!bar) return;
+    const redirected = links.filter((l) => l.health && l.health.status === 'redirected').length;
+    const dead = links.filter((l) => l.health && DEAD.includes(l.health.status)).length;
+    const failing = links.filter((l) => l.health && l.health.status === 'error').length;
+    bar.hidden = redirected + dead + failing === 0;
+    if (bar.hidden) return;
+
+    const parts = [];
+    if (redirected) parts.push(`${redirected} moved`);
+    if (dead) parts.push(`${dead} dead`);
+    if (failing) parts.push(`${failing} failing`);
+    bar.innerHTML = `
+      <span class="link-health-summary"><i class="fas fa-heart-crack" aria-hidden="true"></i> ${parts.join(' · ')}</span>
+      <button type="button" class="option-link" data-health-action="show">${filters.broken ? 'Show all links' : 'Show them'}</button>
+      ${redirected ? '<button type="button" class="option-link" data-health-action="update">Update moved URLs</button>' : ''}
+      ${dead ? '<button type="button" class="option-link" data-health-action="remove">Remove dead links</button>' : ''}`;
+
+    bar.querySelector('[data-health-action="show"]').addEventListener('click', () => {
+      setFilterOption('broken', !filters.broken);
+    });
+    const updateBtn = bar.querySelector('[data-health-action="update"]');
+    if (updateBtn) {
+      updateBtn.addEventListener('click', () => {
+        const n = updateRedirected();
+        if (n) UndoHistory.offerUndo(`Updated ${n} moved link(s)`);
+        else showToast('The new addresses are saved already — use Clean up links to merge them', 'info');
+      });
+    }
+    const removeBtn = bar.querySelector('[data-health-action="remove"]');
+    if (removeBtn) {
+      removeBtn.addEventListener('click', () => {
+        const refs = links
+          .filter((l) => l.health && DEAD.includes(l.health.status))
+          .reduce((n, l) => n + Todos.countLinkRefs(l.id), 0);
+        const note = refs ? ` ${refs} task(s) refer to them.` : '';
+        if (!confirm(`Delete ${dead} dead link(s)?${note}`)) return;
+        const n = removeDead();
+        if (n) UndoHistory.offerUndo(`Removed ${n} dead link(s)`);
+      });
+    }
+  }
+
+  /** Badge for a card: nothing until checked, a quiet tick when fine. */
+  function healthBadgeHtml(health) {
+    if (!health) return '';
+    const checked = `checked ${new Date(health.checkedAt).toLocaleDateString()}`;
+    switch (health.status) {
+      case 'ok':
+        return `<span class="link-health ok" title="Working (${checked})"><i class="fas fa-circle-check"></i></span>`;
+      case 'redirected':
+        return `<span class="link-health redirected" title="Moved to ${escHtml(health.finalUrl || '')} (${checked})"><i class="fas fa-share"></i> Moved</span>`;
+      case 'missing':
+        return `<span class="link-health dead" title="Page not found (${checked})"><i class="fas fa-link-slash"></i> ${health.code || 404}</span>`;
+      case 'unreachable':
+        return `<span class="link-health dead" title="Site not reachable (${checked})"><i class="fas fa-plug-circle-xmark"></i> Unreachable</span>`;
+      default:
+        return `<span class="link-health failing" title="The site answered with an error (${checked})"><i class="fas fa-triangle-exclamation"></i> ${health.code || 'Error'}</span>`;
+    }
+  }
+
+  // ── Spoken links ─────────────────────────────────────────────────────────────
+
+  const SEARCH_ENGINE_KEY = 'vt_search_engine';
+  /** Used when no search engine is set, or the setting has no `%s`. */
+  const DEFAULT_SEARCH_ENGINE = 'https://www.google.com/search?q=%s';
+  let searchEngine = DEFAULT_SEARCH_ENGINE;
+
+  /** The search results page for a query, from the search engine template. */
+  function searchUrl(query) {
+    const template = searchEngine.includes('%s') ? searchEngine : DEFAULT_SEARCH_ENGINE;
+    return template.replace('%s', encodeURIComponent(query.trim()));
+  }
+
+  /**
+   * Show what was heard as an address (or a search for it) to check and
+   * edit before it is saved.
+   * @param {string} transcript
+   */
+  function previewSpoken(transcript) {
+    const preview = document.getElementById('link-voice-preview');
+    if (!preview) return;
+    const url = SpokenUrl.parse(transcript, SpeechModule.lang);
+    preview.dataset.transcript = transcript;
+    document.getElementById('link-voice-heard').textContent = transcript;
+    document.getElementById('link-voice-search').hidden = !url;
+    const input = document.getElementById('link-voice-url');
+    input.value = url || searchUrl(transcript);
+    preview.hidden = false;
+    input.focus();
+    input.select();
+  }
+
+  function closePreview() {
+    const preview = document.getElementById('link-voice-preview');
+    if (preview) preview.hidden = true;
+  }
+
+  function initPreview() {
+    const preview = document.getElementById('link-voice-preview');
+    if (!preview) return;
+    const input = document.getElementById('link-voice-url');
+    const save = () => {
+      if (!input.value.trim()) return;
+      add(input.value, { collectionId: pickedCollection() });
+      closePreview();
+    };
+    document.getElementById('link-voice-save').addEventListener('click', save);
+    document.getElementById('link-voice-search').addEventListener('click', () => {
+      input.value = searchUrl(preview.dataset.transcript || '');
+      save();
+    });
+    document.getElementById('link-voice-cancel').addEventListener('click', closePreview);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        save();
+      } else if (e.key === 'Escape') {
+        closePreview();
+      }
+    });
+  }
+
   // ── CRUD ─────────────────────────────────────────────────────────────────────
 
   /**
-   * Add a new link.
+   * Add a new link. A link that is already saved isn't added again; a toast
+   * offers to move the saved one to the top instead.
    * @param {string} rawUrl
+   * @param {{collectionId?:?string}} [opts]
+   * @returns {string|null} The new link's id, or null if nothing was added.
    */
-  function add(rawUrl) {
-    let url = rawUrl.trim();
-    if (!url) return;
+  function add(rawUrl, opts = {}) {
+    if (!rawUrl.trim()) return null;
+    const url = normaliseUrl(rawUrl);
 
-    // Prepend protocol if missing
-    if (!/^https?:\/\//i.test(url)) {
-      url = 'https://' + url;
+    const existing = findDuplicate(url);
+    if (existing) {
+      showToast(`Already saved: ${existing.description}`, 'info', {
+        label: 'Move to top',
+        onClick: () => bump(existing.id),
+      });
+      return null;
     }
 
     const link = {
       id: `link_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
       url,
       description: autoDescribe(url),
+      descriptionEdited: false,
+      meta: null,
+      tags: [],
+      health: null,
+      status: 'unread',
+      readAt: null,
+      collectionId: opts.collectionId && Collections.get(opts.collectionId) ? opts.collectionId : null,
       createdAt: Date.now(),
     };
-    links.unshift(link);
-    save();
-    render();
+    commit(`add ${url}`, () => {
+      links.unshift(link);
+    });
+    if (LinkMeta.enabled()) refreshMeta(link.id);
+    return link.id;
   }
 
   /**
-   * Update a link's description.
+   * Update a link's description. An empty description goes back to the
+   * fetched title (or the heuristic) and follows later fetches again.
    * @param {string} id
    * @param {string} newDesc
    */
   function updateDesc(id, newDesc) {
     const link = links.find((l) => l.id === id);
     if (!link) return;
-    link.description = newDesc.trim() || link.description;
-    save();
-    // No full re-render needed; DOM update happens in the edit handler.
+    const edited = !!newDesc.trim();
+    const description = edited ? newDesc.trim() : defaultDescription(link);
+    if (description === link.description && edited === link.descriptionEdited) return;
+    commit(`edit description of ${link.url}`, () => {
+      link.description = description;
+      link.descriptionEdited = edited;
+    });
   }
 
   /**
@@ -102,11 +584,465 @@ const Links = (() => {
    * @param {string} id
    */
   function remove(id) {
-    links = links.filter((l) => l.id !== id);
+    const link = links.find((l) => l.id === id);
+    if (!link) return;
+    commit(`delete ${link.url}`, () => {
+      links = links.filter((l) => l.id !== id);
+    });
+  }
+
+  // ── Reading status ───────────────────────────────────────────────────────────
+
+  /**
+   * Move a link through the reading lifecycle.
+   * @param {string} id
+   * @param {'unread'|'read'|'archived'} status
+   */
+  function setStatus(id, status) {
+    const link = links.find((l) => l.id === id);
+    if (!link || !STATUSES.includes(status) || link.status === status) return;
+    const verbs = { unread: 'mark unread', read: 'mark read', archived: 'archive' };
+    commit(`${verbs[status]} ${link.url}`, () => {
+      link.status = status;
+      if (status === 'read' && !link.readAt) link.readAt = Date.now();
+      if (status === 'unread') link.readAt = null;
+    });
+  }
+
+  /**
+   * Mark an unread link read because it was opened. Like health checks, not
+   * undoable: undo should take back the user's last edit, not their browsing.
+   * @param {string} id
+   */
+  function markOpened(id) {
+    const link = links.find((l) => l.id === id);
+    if (!link || link.status !== 'unread') return;
+    link.status = 'read';
+    if (!link.readAt) link.readAt = Date.now();
     save();
+    if (!document.querySelector('#link-list .editing-desc')) render();
+  }
+
+  /** Show the number of unread links on the Links tab button. */
+  function renderUnreadCount() {
+    const badge = document.getElementById('links-unread-count');
+    if (!badge) return;
+    const unread = links.filter((l) => l.status === 'unread').length;
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.hidden = unread === 0;
+    badge.setAttribute('aria-label', `${unread} unread`);
+  }
+
+  /** Switch the reading-status tab. */
+  function setStatusFilter(status) {
+    currentStatus = status;
+    saveFilterState();
+    syncFilterBar();
+    render();
+  }
+
+  // ── Collections ──────────────────────────────────────────────────────────────
+
+  /**
+   * File a link in a collection (null for none).
+   * @param {string} id
+   * @param {?string} collectionId
+   */
+  function moveToCollection(id, collectionId) {
+    const link = links.find((l) => l.id === id);
+    const target = collectionId ? Collections.get(collectionId) : null;
+    if (!link || (collectionId && !target) || link.collectionId === (collectionId || null)) return;
+    commit(`move ${link.url} to ${target ? target.name : 'no collection'}`, () => {
+      link.collectionId = target ? target.id : null;
+    });
+  }
+
+  /** Take every link out of the given collections (called when they're deleted). */
+  function unfile(collectionIds) {
+    commit('remove links from collection', () => {
+      const filed = links.filter((l) => collectionIds.includes(l.collectionId));
+      if (filed.length === 0) return false;
+      filed.forEach((l) => { l.collectionId = null; });
+    });
+  }
+
+  /** Switch between grouping by date and by collection. */
+  function setView(view) {
+    currentView = view;
+    saveFilterState();
+    syncFilterBar();
+    render();
+  }
+
+  /** The collection chosen in the picker on the link form, if any. */
+  function pickedCollection() {
+    const picker = document.getElementById('link-collection');
+    return picker && Collections.get(picker.value) ? picker.value : null;
+  }
+
+  function renderPicker() {
+    const picker = document.getElementById('link-collection');
+    if (!picker) return;
+    const selected = picker.value;
+    Collections.fillSelect(picker, selected);
+    const option = document.createElement('option');
+    option.value = '__new';
+    option.textContent = '+ New collection…';
+    picker.appendChild(option);
+  }
+
+  /** Ask for a name and create a collection; returns its id or null. */
+  function promptNewCollection(parentId = null) {
+    const name = prompt(parentId ? `New collection inside "${Collections.path(parentId)}"` : 'Name of the new collection');
+    if (name === null || !name.trim()) return null;
+    const id = Collections.create(name, parentId);
+    if (!id) showToast(`A collection called "${name.trim()}" already exists there`, 'error');
+    return id;
+  }
+
+  /** Let a collection section accept dropped link cards. */
+  function makeDropTarget(el, collectionId) {
+    el.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+      e.preventDefault();
+      // Sub-collection sections sit inside their parent's: only the
+      // innermost one is the target.
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = 'move';
+      el.classList.add('drop-target');
+      const outer = el.parentElement && el.parentElement.closest('.drop-target');
+      if (outer) outer.classList.remove('drop-target');
+    });
+    el.addEventListener('dragleave', (e) => {
+      if (!el.contains(e.relatedTarget)) el.classList.remove('drop-target');
+    });
+    el.addEventListener('drop', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      el.classList.remove('drop-target');
+      const id = e.dataTransfer.getData(DRAG_TYPE);
+      if (id) moveToCollection(id, collectionId);
+    });
+  }
+
+  // ── Tags ─────────────────────────────────────────────────────────────────────
+
+  /** "#Machine Learning" → "machine-learning" */
+  function normaliseTag(tag) {
+    return String(tag).trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+  }
+
+  /** Host name without "www.", or '' for an unparseable URL. */
+  function domainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (_) {
+      return '';
+    }
+  }
+
+  /**
+   * Add one or more tags ("news, long read") to a link.
+   * @param {string} id
+   * @param {string} text
+   */
+  function addTags(id, text) {
+    const link = links.find((l) => l.id === id);
+    if (!link) return;
+    const fresh = text.split(',').map(normaliseTag).filter((t) => t && !link.tags.includes(t));
+    if (fresh.length === 0) return;
+    commit(`tag ${link.url}`, () => {
+      link.tags = [...link.tags, ...new Set(fresh)];
+    });
+  }
+
+  function removeTag(id, tag) {
+    const link = links.find((l) => l.id === id);
+    if (!link || !link.tags.includes(tag)) return;
+    commit(`untag ${link.url}`, () => {
+      link.tags = link.tags.filter((t) => t !== tag);
+    });
+  }
+
+  /** Every tag in use with its number of links, most used first. */
+  function tagCounts() {
+    const counts = new Map();
+    links.forEach((l) => l.tags.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)));
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  /**
+   * Tags worth offering for a link: the ones already used on other links
+   * from the same site, then a well-known one for the domain.
+   * @returns {string[]} At most two tags the link doesn't have yet.
+   */
+  function suggestTags(link) {
+    const domain = domainOf(link.url);
+    if (!domain) return [];
+    const counts = new Map();
+    links
+      .filter((l) => l.id !== link.id && domainOf(l.url) === domain)
+      .forEach((l) => l.tags.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)));
+    const known = Object.keys(DOMAIN_TAGS).find((d) => domain === d || domain.endsWith(`.${d}`));
+    const candidates = [...[...counts].sort((a, b) => b[1] - a[1]).map(([t]) => t)];
+    if (known) candidates.push(DOMAIN_TAGS[known]);
+    return [...new Set(candidates)].filter((t) => !link.tags.includes(t)).slice(0, 2);
+  }
+
+  /**
+   * Import links from a backup file. Undoable as a single change.
+   * @param {Array<{url:string, id?:string, description?:string, createdAt?:number}>} incoming
+   * @param {'merge'|'replace'} mode - 'merge' keeps the current links and skips
+   *   incoming ones whose id or URL is already present; 'replace' discards the current list.
+   * @returns {{added:number, skipped:number}}
+   */
+  function importLinks(incoming, mode = 'merge') {
+    const current = mode === 'merge' ? links : [];
+    const ids = new Set(current.map((l) => l.id));
+    const keys = new Set(current.flatMap(linkKeys));
+    const fresh = [];
+    incoming.forEach((raw) => {
+      if (!raw || !raw.url || ids.has(raw.id) || keys.has(urlKey(raw.url))) return;
+      const url = normaliseUrl(raw.url);
+      const link = {
+        id: raw.id || `link_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        url,
+        description: raw.description || autoDescribe(url),
+        descriptionEdited: typeof raw.descriptionEdited === 'boolean'
+          ? raw.descriptionEdited
+          : !!raw.description && raw.description !== autoDescribe(url),
+        meta: raw.meta || null,
+        tags: Array.isArray(raw.tags) ? [...new Set(raw.tags.map(normaliseTag).filter(Boolean))] : [],
+        health: raw.health || null,
+        status: STATUSES.includes(raw.status) ? raw.status : 'unread',
+        readAt: raw.readAt || null,
+        collectionId: raw.collectionId && Collections.get(raw.collectionId) ? raw.collectionId : null,
+        createdAt: raw.createdAt || Date.now(),
+      };
+      ids.add(link.id);
+      keys.add(urlKey(url));
+      fresh.push(link);
+    });
+    const result = { added: fresh.length, skipped: incoming.length - fresh.length };
+    commit(`import ${fresh.length} link${fresh.length === 1 ? '' : 's'}`, () => {
+      if (mode === 'replace') links = fresh;
+      else if (fresh.length) links = [...fresh, ...links];
+      else return false;
+    });
+    return result;
+  }
+
+  /** @returns {Array<{id:string, url:string, description:string, meta:?PageMeta, createdAt:number}>} */
+  function getAll() {
+    return links.map((l) => ({ ...l }));
+  }
+
+  function get(id) {
+    const link = links.find((l) => l.id === id);
+    return link ? { ...link } : null;
+  }
+
+  /**
+   * Register a callback for changes to the saved links.
+   * @param {function} fn
+   */
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  /** The text suggested for a task made from a link. */
+  function taskTitle(link) {
+    return `Read "${link.description}"`;
+  }
+
+  /**
+   * Add a todo that refers to a link, to the open todo list. What was typed
+   * after the suggested title is parsed like a spoken task, so "… by Friday"
+   * gets a deadline; the title itself is kept as it is, since words in a page
+   * title ("Monday Notes") are not dates.
+   * @param {string} id
+   * @param {string} text
+   */
+  function makeTask(id, text) {
+    const link = links.find((l) => l.id === id);
+    if (!link || !text.trim()) return;
+    const title = taskTitle(link);
+    const kept = text.startsWith(title);
+    const typed = (kept ? text.slice(title.length) : text).trim();
+    const parsed = typed
+      ? VoiceParser.parseTask(typed, { categories: Categories.names() })
+      : { text: '', deadline: null, priority: null, categories: [] };
+    let rest = parsed.text;
+    if (kept) {
+      // parseTask keeps the words as typed when they were nothing but metadata.
+      const onlyMeta = rest === typed && (parsed.deadline || parsed.priority || parsed.categories.length);
+      rest = onlyMeta ? '' : rest.charAt(0).toLowerCase() + rest.slice(1);
+    }
+    Todos.add(kept ? `${title} ${rest}`.trim() : rest, {
+      deadline: parsed.deadline,
+      priority: parsed.priority,
+      categories: parsed.categories,
+      linkIds: [link.id],
+    });
+  }
+
+  // ── Filtering and sorting ────────────────────────────────────────────────────
+
+  /** Does a link pass the search, domain and tag filters? */
+  function matchesFilters(link) {
+    if (currentStatus !== 'all' && link.status !== currentStatus) return false;
+    if (filters.broken && !needsAttention(link)) return false;
+    if (filters.domain && domainOf(link.url) !== filters.domain) return false;
+    if (filters.tags.length && !link.tags.some((t) => filters.tags.includes(t))) return false;
+    if (filters.query) {
+      const haystack = [link.url, link.description, ...link.tags].join(' ').toLowerCase();
+      const words = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+      if (!words.every((w) => haystack.includes(w))) return false;
+    }
+    return true;
+  }
+
+  function hasFilters() {
+    return !!filters.query.trim() || !!filters.domain || filters.tags.length > 0 || filters.broken;
+  }
+
+  /** Get the filtered + sorted list of links. */
+  function getVisible() {
+    const list = links.filter(matchesFilters);
+    switch (currentSort) {
+      case 'oldest':
+        list.sort((a, b) => a.createdAt - b.createdAt);
+        break;
+      case 'title':
+        list.sort((a, b) => a.description.localeCompare(b.description));
+        break;
+      case 'domain':
+        list.sort((a, b) => domainOf(a.url).localeCompare(domainOf(b.url)) || b.createdAt - a.createdAt);
+        break;
+      case 'newest':
+      default:
+        list.sort((a, b) => b.createdAt - a.createdAt);
+        break;
+    }
+    return list;
+  }
+
+  /**
+   * Switch the sort order and sync the sort select.
+   * @param {'newest'|'oldest'|'title'|'domain'} sort
+   */
+  function setSort(sort) {
+    currentSort = sort;
+    saveFilterState();
+    syncFilterBar();
+    render();
+  }
+
+  /**
+   * Change one of the filters.
+   * @param {'query'|'domain'|'tags'} name
+   * @param {*} value
+   */
+  function setFilterOption(name, value) {
+    filters = { ...filters, [name]: value };
+    saveFilterState();
+    syncFilterBar();
     render();
   }
 
+  /** Reset the filters (the sort order is kept). */
+  function clearFilters() {
+    filters = { query: '', domain: '', tags: [], broken: false };
+    saveFilterState();
+    syncFilterBar();
+    render();
+  }
+
+  function saveFilterState() {
+    Storage.set(FILTERS_KEY, { status: currentStatus, sort: currentSort, view: currentView, ...filters });
+  }
+
+  async function loadFilterState() {
+    const saved = await Storage.get(FILTERS_KEY, null);
+    if (!saved) return;
+    currentStatus = saved.status || 'all';
+    currentSort = saved.sort || 'newest';
+    currentView = saved.view || 'date';
+    filters = {
+      query: saved.query || '',
+      domain: saved.domain || '',
+      tags: Array.isArray(saved.tags) ? saved.tags : [],
+      broken: !!saved.broken,
+    };
+  }
+
+  /** Reflect the filter state in the links filter bar. */
+  function syncFilterBar() {
+    const search = document.getElementById('link-search');
+    if (search && search.value !== filters.query) search.value = filters.query;
+    const sortSelect = document.getElementById('link-sort');
+    if (sortSelect) sortSelect.value = currentSort;
+    document.querySelectorAll('#link-filter-bar [data-link-status]').forEach((b) => {
+      const active = b.dataset.linkStatus === currentStatus;
+      b.classList.toggle('active', active);
+      b.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    document.querySelectorAll('#link-filter-bar [data-link-view]').forEach((b) => {
+      const active = b.dataset.linkView === currentView;
+      b.classList.toggle('active', active);
+      b.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    renderFilterOptions();
+  }
+
+  /** Rebuild the domain options and tag chips, which depend on the saved links. */
+  function renderFilterOptions() {
+    document.querySelectorAll('#link-filter-bar [data-link-status] .filter-count').forEach((el) => {
+      const status = el.parentElement.dataset.linkStatus;
+      el.textContent = status === 'all' ? links.length : links.filter((l) => l.status === status).length;
+    });
+
+    const domainSelect = document.getElementById('link-filter-domain');
+    if (domainSelect) {
+      const counts = new Map();
+      links.forEach((l) => {
+        const d = domainOf(l.url);
+        if (d) counts.set(d, (counts.get(d) || 0) + 1);
+      });
+      if (filters.domain && !counts.has(filters.domain)) counts.set(filters.domain, 0);
+      domainSelect.innerHTML = '<option value="">Any site</option>';
+      [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).forEach(([d, n]) => {
+        const option = document.createElement('option');
+        option.value = d;
+        option.textContent = `${d} (${n})`;
+        domainSelect.appendChild(option);
+      });
+      domainSelect.value = filters.domain;
+    }
+
+    const container = document.getElementById('link-filter-tags');
+    if (container) {
+      container.innerHTML = '';
+      const counts = tagCounts();
+      filters.tags.filter((t) => !counts.some(([c]) => c === t)).forEach((t) => counts.push([t, 0]));
+      counts.forEach(([tag, n]) => {
+        const on = filters.tags.includes(tag);
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `toggle-pill link-tag-filter${on ? ' selected' : ''}`;
+        chip.textContent = `#${tag} ${n}`;
+        chip.setAttribute('aria-pressed', on ? 'true' : 'false');
+        chip.addEventListener('click', () => {
+          setFilterOption('tags', on ? filters.tags.filter((t) => t !== tag) : [...filters.tags, tag]);
+        });
+        container.appendChild(chip);
+      });
+    }
+
+    const clearBtn = document.getElementById('link-filter-clear');
+    if (clearBtn) clearBtn.hidden = !hasFilters();
+  }
+
   // ── Rendering ────────────────────────────────────────────────────────────────
 
   function dateLabel(ts) {
@@ -131,19 +1067,45 @@ const Links = (() => {
 
   /**
    * Build a single link card element.
-   * @param {{id:string, url:string, description:string, createdAt:number}} link
+   * @param {{id:string, url:string, description:string, meta:?PageMeta, createdAt:number}} link
    * @returns {HTMLElement}
    */
   function buildLinkEl(link) {
     const card = document.createElement('div');
-    card.className = 'link-card';
+    card.className = `link-card is-${link.status}`;
     card.dataset.id = link.id;
+    card.draggable = true;
 
     const dateAdded = new Date(link.createdAt).toLocaleTimeString(undefined, {
       hour: '2-digit',
       minute: '2-digit',
     });
 
+    const meta = link.meta || {};
+    const summaryHtml = meta.description && meta.description !== link.description
+      ? `<p class="link-summary">${escHtml(meta.description)}</p>`
+      : '';
+    const thumbHtml = meta.image
+      ? `<img class="link-thumb" src="${escHtml(meta.image)}" alt="" loading="lazy" onerror="this.remove()">`
+      : '';
+    const tagsHtml = link.tags.map((t) => `
+          <span class="link-tag">
+            <button type="button" class="link-tag-name" data-tag="${escHtml(t)}" title="Show links tagged #${escHtml(t)}">#${escHtml(t)}</button>
+            <button type="button" class="link-tag-remove" data-tag="${escHtml(t)}" aria-label="Remove tag ${escHtml(t)}">&times;</button>
+          </span>`).join('');
+    const suggestHtml = suggestTags(link).map((t) => `
+          <button type="button" class="link-tag suggested" data-tag="${escHtml(t)}" title="Add tag #${escHtml(t)}">+ ${escHtml(t)}</button>`).join('');
+    const collectionHtml = link.collectionId && currentView === 'date' && Collections.get(link.collectionId)
+      ? `<span class="link-collection"><i class="fas fa-folder" aria-hidden="true"></i> ${escHtml(Collections.path(link.collectionId))}</span>`
+      : '';
+    const moveHtml = Collections.all().length
+      ? '<select class="link-move" title="Move to collection" aria-label="Move to collection"></select>'
+      : '';
+    const refreshHtml = LinkMeta.enabled() ? `
+        <button class="btn-icon btn-refresh" title="Fetch page details and check the link" aria-label="Fetch page details and check the link">
+          <i class="fas fa-rotate"></i>
+        </button>` : '';
+
     card.innerHTML = `
       <div class="link-icon-wrap">
         <img
@@ -161,9 +1123,26 @@ const Links = (() => {
           <span class="link-desc" title="Click to edit description">${escHtml(link.description)}</span>
           <input class="link-desc-input" type="text" value="${escHtml(link.description)}" aria-label="Edit description">
         </div>
-        <span class="link-meta">${dateAdded}</span>
+        ${summaryHtml}
+        <div class="link-tags">
+          ${tagsHtml}
+          ${suggestHtml}
+          <button type="button" class="link-tag-add" title="Add tags" aria-label="Add tags"><i class="fas fa-tag"></i></button>
+          <input type="text" class="link-tag-input" placeholder="tag, another" aria-label="New tags" hidden>
+        </div>
+        <span class="link-meta">${dateAdded} ${healthBadgeHtml(link.health)} ${collectionHtml}</span>
       </div>
-      <div class="link-actions">
+      ${thumbHtml}
+      <div class="link-actions">${moveHtml}${refreshHtml}
+        <button class="btn-icon btn-read" title="${link.status === 'unread' ? 'Mark as read' : 'Mark as unread'}" aria-label="${link.status === 'unread' ? 'Mark as read' : 'Mark as unread'}">
+          <i class="fas ${link.status === 'unread' ? 'fa-envelope-open' : 'fa-envelope'}"></i>
+        </button>
+        <button class="btn-icon btn-archive" title="${link.status === 'archived' ? 'Unarchive' : 'Archive'}" aria-label="${link.status === 'archived' ? 'Unarchive' : 'Archive'}">
+          <i class="fas ${link.status === 'archived' ? 'fa-box-open' : 'fa-box-archive'}"></i>
+        </button>
+        <button class="btn-icon btn-task" title="Make a task" aria-label="Make a task">
+          <i class="fas fa-list-check"></i>
+        </button>
         <button class="btn-icon btn-delete" title="Delete link" aria-label="Delete link">
           <i class="fas fa-trash"></i>
         </button>
@@ -182,11 +1161,9 @@ const Links = (() => {
     };
 
     const commitEdit = () => {
-      const newDesc = descInput.value.trim() || link.description;
-      link.description = newDesc;
-      descSpan.textContent = newDesc;
+      if (!card.classList.contains('editing-desc')) return;
       card.classList.remove('editing-desc');
-      updateDesc(link.id, newDesc);
+      updateDesc(link.id, descInput.value);
     };
 
     descSpan.addEventListener('click', startEdit);
@@ -199,10 +1176,106 @@ const Links = (() => {
       }
     });
 
+    // Tags
+    card.querySelectorAll('.link-tag-name').forEach((btn) => {
+      btn.addEventListener('click', () => setFilterOption('tags', [btn.dataset.tag]));
+    });
+    card.querySelectorAll('.link-tag-remove').forEach((btn) => {
+      btn.addEventListener('click', () => removeTag(link.id, btn.dataset.tag));
+    });
+    card.querySelectorAll('.link-tag.suggested').forEach((btn) => {
+      btn.addEventListener('click', () => addTags(link.id, btn.dataset.tag));
+    });
+    const tagAddBtn = card.querySelector('.link-tag-add');
+    const tagInput = card.querySelector('.link-tag-input');
+    const commitTags = () => {
+      if (tagInput.hidden) return;
+      tagInput.hidden = true;
+      tagAddBtn.hidden = false;
+      addTags(link.id, tagInput.value);
+    };
+    tagAddBtn.addEventListener('click', () => {
+      tagAddBtn.hidden = true;
+      tagInput.hidden = false;
+      tagInput.value = '';
+      tagInput.focus();
+    });
+    tagInput.addEventListener('blur', commitTags);
+    tagInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        commitTags();
+      }
+      if (e.key === 'Escape') {
+        tagInput.value = '';
+        commitTags();
+      }
+    });
+
+    // Re-fetch page details
+    const refreshBtn = card.querySelector('.btn-refresh');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', async () => {
+        refreshBtn.disabled = true;
+        refreshBtn.classList.add('spinning');
+        const [found] = await Promise.all([refreshMeta(link.id), LinkHealth.checkLink(link.id)]);
+        if (!found) {
+          showToast(`Couldn't read ${link.url}`, 'error');
+          refreshBtn.disabled = false;
+          refreshBtn.classList.remove('spinning');
+        }
+      });
+    }
+
+    // Collection: menu, or drag the card onto a collection
+    const moveSelect = card.querySelector('.link-move');
+    if (moveSelect) {
+      Collections.fillSelect(moveSelect, link.collectionId);
+      moveSelect.addEventListener('change', () => moveToCollection(link.id, moveSelect.value || null));
+    }
+    card.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(DRAG_TYPE, link.id);
+      e.dataTransfer.effectAllowed = 'move';
+      card.classList.add('dragging');
+    });
+    card.addEventListener('dragend', () => card.classList.remove('dragging'));
+
+    // Reading status. Opening the link marks it read — after the click, since
+    // re-rendering would detach the anchor before the browser follows it.
+    const opened = () => {
+      if (link.status === 'unread') setTimeout(() => markOpened(link.id), 0);
+    };
+    const anchor = card.querySelector('.link-url');
+    anchor.addEventListener('click', opened);
+    anchor.addEventListener('auxclick', (e) => {
+      if (e.button === 1) opened();
+    });
+    card.querySelector('.btn-read').addEventListener('click', () => {
+      setStatus(link.id, link.status === 'unread' ? 'read' : 'unread');
+    });
+    card.querySelector('.btn-archive').addEventListener('click', () => {
+      const archiving = link.status !== 'archived';
+      setStatus(link.id, archiving ? 'archived' : 'read');
+      if (archiving) UndoHistory.offerUndo(`Archived ${link.url}`);
+    });
+
+    card.querySelector('.btn-task').addEventListener('click', () => {
+      const text = prompt('New task', taskTitle(link));
+      if (text === null || !text.trim()) return;
+      makeTask(link.id, text);
+      const list = Lists.get(Lists.current());
+      UndoHistory.offerUndo(`Added a task to ${list ? list.name : 'your tasks'}`);
+    });
+
     // Delete
     card.querySelector('.btn-delete').addEventListener('click', () => {
+      const refs = Todos.countLinkRefs(link.id);
+      if (refs > 0 && !confirm(`${refs} task(s) refer to this link. Delete it anyway?`)) return;
       card.classList.add('removing');
-      card.addEventListener('animationend', () => remove(link.id), { once: true });
+      card.addEventListener('animationend', () => {
+        remove(link.id);
+        UndoHistory.offerUndo(`Deleted ${link.url}`);
+      }, { once: true });
     });
 
     return card;
@@ -216,6 +1289,9 @@ const Links = (() => {
     if (!container) return;
 
     container.innerHTML = '';
+    renderFilterOptions();
+    renderHealthBar();
+    renderUnreadCount();
 
     if (links.length === 0) {
       container.innerHTML = `
@@ -226,10 +1302,27 @@ const Links = (() => {
       return;
     }
 
-    // Group by date label
+    const visible = getVisible();
+    if (visible.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-filter empty-icon"></i>
+          <p>No links match the current filters.</p>
+        </div>`;
+      return;
+    }
+
+    if (currentView === 'collection') {
+      renderByCollection(container, visible);
+      return;
+    }
+
+    // Group by date saved, or by site when sorted by domain; A–Z is one list.
     const groups = new Map();
-    links.forEach((link) => {
-      const label = dateLabel(link.createdAt);
+    visible.forEach((link) => {
+      let label = '';
+      if (currentSort === 'domain') label = domainOf(link.url);
+      else if (currentSort !== 'title') label = dateLabel(link.createdAt);
       if (!groups.has(label)) groups.set(label, []);
       groups.get(label).push(link);
     });
@@ -237,27 +1330,183 @@ const Links = (() => {
     groups.forEach((items, label) => {
       const section = document.createElement('div');
       section.className = 'date-group';
-      section.innerHTML = `<h3 class="date-label">${label}</h3>`;
-      const group = document.createElement('div');
-      group.className = 'link-cards';
-      items.forEach((link) => {
-        const el = buildLinkEl(link);
-        el.classList.add('entering');
-        group.appendChild(el);
-        requestAnimationFrame(() => {
-          requestAnimationFrame(() => el.classList.remove('entering'));
-        });
-      });
-      section.appendChild(group);
+      if (label) section.innerHTML = `<h3 class="date-label">${escHtml(label)}</h3>`;
+      section.appendChild(buildCards(items));
       container.appendChild(section);
     });
   }
 
+  function buildCards(items) {
+    const group = document.createElement('div');
+    group.className = 'link-cards';
+    items.forEach((link) => {
+      const el = buildLinkEl(link);
+      el.classList.add('entering');
+      group.appendChild(el);
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => el.classList.remove('entering'));
+      });
+    });
+    return group;
+  }
+
+  /**
+   * One section per collection (sub-collections inside their parent), then
+   * the unfiled links. Every section takes dropped cards. Empty collections
+   * are shown too — unless filters are on — so there is somewhere to drop.
+   */
+  function renderByCollection(container, visible) {
+    const byCollection = new Map();
+    visible.forEach((link) => {
+      const key = link.collectionId && Collections.get(link.collectionId) ? link.collectionId : '';
+      if (!byCollection.has(key)) byCollection.set(key, []);
+      byCollection.get(key).push(link);
+    });
+    const showEmpty = !hasFilters() && currentStatus === 'all';
+
+    const section = (col) => {
+      const items = byCollection.get(col ? col.id : '') || [];
+      const el = document.createElement('div');
+      el.className = `date-group collection-group${col && col.parentId ? ' is-child' : ''}`;
+      el.innerHTML = `
+        <div class="collection-header">
+          <h3 class="date-label"><i class="fas ${col ? 'fa-folder' : 'fa-inbox'}" aria-hidden="true"></i> ${escHtml(col ? col.name : 'No collection')} <span class="filter-count">${items.length}</span></h3>
+          ${col ? `
+          <div class="collection-actions">
+            ${col.parentId ? '' : '<button type="button" class="btn-icon" data-col-action="add" title="New collection inside" aria-label="New collection inside"><i class="fas fa-folder-plus"></i></button>'}
+            <button type="button" class="btn-icon" data-col-action="rename" title="Rename collection" aria-label="Rename collection"><i class="fas fa-pen"></i></button>
+            <button type="button" class="btn-icon btn-delete" data-col-action="delete" title="Delete collection" aria-label="Delete collection"><i class="fas fa-trash"></i></button>
+          </div>` : ''}
+        </div>`;
+      if (items.length) el.appendChild(buildCards(items));
+      else el.insertAdjacentHTML('beforeend', '<p class="collection-empty">Drop links here</p>');
+      makeDropTarget(el, col ? col.id : null);
+
+      if (col) {
+        const action = (name) => el.querySelector(`.collection-header [data-col-action="${name}"]`);
+        if (action('add')) action('add').addEventListener('click', () => promptNewCollection(col.id));
+        action('rename').addEventListener('click', () => {
+          const name = prompt('Rename collection', col.name);
+          if (name === null || !name.trim() || name.trim() === col.name) return;
+          if (!Collections.rename(col.id, name)) showToast(`A collection called "${name.trim()}" already exists there`, 'error');
+        });
+        action('delete').addEventListener('click', () => {
+          Collections.remove(col.id);
+          UndoHistory.offerUndo(`Deleted collection "${col.name}" — its links were kept`);
+        });
+      }
+      return el;
+    };
+
+    Collections.all().filter((c) => !c.parentId).forEach((top) => {
+      const subs = Collections.children(top.id);
+      const hasLinks = (c) => byCollection.has(c.id);
+      if (!showEmpty && !hasLinks(top) && !subs.some(hasLinks)) return;
+      const topEl = section(top);
+      subs.filter((c) => showEmpty || hasLinks(c)).forEach((c) => topEl.appendChild(section(c)));
+      container.appendChild(topEl);
+    });
+    if (byCollection.has('') || showEmpty) container.appendChild(section(null));
+  }
+
   // ── Public API ───────────────────────────────────────────────────────────────
 
-  function init() {
-    load();
+  async function init() {
+    await load();
+    await loadFilterState();
+    syncFilterBar();
     render();
+    // Todos render before the links are loaded; show their attached links now.
+    changed();
+
+    // ── Filter bar ───────────────────────────────────────────────
+    const search = document.getElementById('link-search');
+    if (search) {
+      // Stored as typed; matchesFilters() splits the query into words.
+      search.addEventListener('input', () => setFilterOption('query', search.value));
+    }
+    const domainFilter = document.getElementById('link-filter-domain');
+    if (domainFilter) {
+      domainFilter.addEventListener('change', () => setFilterOption('domain', domainFilter.value));
+    }
+    const sortSelect = document.getElementById('link-sort');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', () => setSort(sortSelect.value));
+    }
+    const clearBtn = document.getElementById('link-filter-clear');
+    if (clearBtn) clearBtn.addEventListener('click', clearFilters);
+    document.querySelectorAll('#link-filter-bar [data-link-status]').forEach((btn) => {
+      btn.addEventListener('click', () => setStatusFilter(btn.dataset.linkStatus));
+    });
+    document.querySelectorAll('#link-filter-bar [data-link-view]').forEach((btn) => {
+      btn.addEventListener('click', () => setView(btn.dataset.linkView));
+    });
+    const newCollectionBtn = document.getElementById('collection-new');
+    if (newCollectionBtn) {
+      newCollectionBtn.addEventListener('click', () => {
+        if (promptNewCollection() && currentView !== 'collection') setView('collection');
+      });
+    }
+
+    // ── Collection picker ────────────────────────────────────────
+    renderPicker();
+    const picker = document.getElementById('link-collection');
+    if (picker) {
+      let previous = picker.value;
+      picker.addEventListener('change', () => {
+        if (picker.value !== '__new') {
+          previous = picker.value;
+          return;
+        }
+        const id = promptNewCollection();
+        picker.value = previous;
+        if (id) {
+          picker.value = id;
+          previous = id;
+        }
+      });
+    }
+    Collections.onChange(() => {
+      renderPicker();
+      render();
+    });
+
+    // Another tab changed the list: merge, and save back any record that is newer here.
+    Storage.onRemoteChange(STORAGE_KEY, (change) => {
+      const merged = Storage.merge(links, change);
+      const isNew = merged !== links;
+      links = merged;
+      save();
+      if (isNew) {
+        render();
+        changed();
+      }
+    });
+
+    // Show or hide the refresh buttons when the proxy is set or cleared.
+    document.addEventListener('settingchange', (e) => {
+      if (e.detail.key === 'vt_link_proxy') render();
+    });
+    const cleanBtn = document.getElementById('link-clean-up');
+    if (cleanBtn) {
+      cleanBtn.addEventListener('click', () => {
+        const { normalised, merged } = cleanUp();
+        if (normalised === 0 && merged === 0) {
+          showToast('All links are already tidy', 'info');
+          return;
+        }
+        UndoHistory.offerUndo(`Tidied ${normalised} URL(s), merged ${merged} duplicate(s)`);
+      });
+    }
+
+    const fillBtn = document.getElementById('link-meta-fill');
+    if (fillBtn) {
+      fillBtn.addEventListener('click', async () => {
+        fillBtn.disabled = true;
+        await fetchMissing();
+        fillBtn.disabled = false;
+      });
+    }
 
     // Text input form
     const form = document.getElementById('link-form');
@@ -267,38 +1516,26 @@ const Links = (() => {
         e.preventDefault();
         const val = input.value.trim();
         if (val) {
-          add(val);
+          add(val, { collectionId: pickedCollection() });
           input.value = '';
         }
       });
     }
 
+    // Spoken links are checked in a preview before they're saved.
+    searchEngine = (await Storage.get(SEARCH_ENGINE_KEY, '')).trim() || DEFAULT_SEARCH_ENGINE;
+    document.addEventListener('settingchange', (e) => {
+      if (e.detail.key === SEARCH_ENGINE_KEY) searchEngine = String(e.detail.value).trim() || DEFAULT_SEARCH_ENGINE;
+    });
+    initPreview();
+
     // Mic button for links
     const micBtn = document.getElementById('link-mic-btn');
     if (micBtn) {
-      if (!SpeechModule.isSupported()) {
-        micBtn.disabled = true;
-        micBtn.title = 'Speech recognition not supported in this browser';
-      }
       micBtn.addEventListener('click', () => {
         SpeechModule.toggle({
           onResult(transcript) {
-            // Detect URL-like speech: must contain a recognisable TLD pattern.
-            const looksLikeUrl = /\b\w+\.(com|org|net|edu|gov|io|co|uk|dev|app|ai)\b/i.test(transcript);
-            if (looksLikeUrl) {
-              // Remove spaces so "github dot com slash user" → "github.com/user"
-              const cleaned = transcript.replace(/\s+/g, '').replace(/dot/gi, '.');
-              // Only add if it produces a parseable URL
-              try {
-                const candidate = /^https?:\/\//i.test(cleaned) ? cleaned : 'https://' + cleaned;
-                new URL(candidate); // validates
-                add(cleaned);
-              } catch (_) {
-                add(`https://www.google.com/search?q=${encodeURIComponent(transcript)}`);
-              }
-            } else {
-              add(`https://www.google.com/search?q=${encodeURIComponent(transcript)}`);
-            }
+            previewSpoken(transcript);
           },
           onStart() {
             micBtn.classList.add('listening');
@@ -316,5 +1553,5 @@ const Links = (() => {
     }
   }
 
-  return { init, add, render };
+  return { init, add, get, onChange, makeTask, setStatus, markOpened, moveToCollection, unfile, setView, findDuplicate, samePage, cleanUp, setHealth, updateRedirected, removeDead, addTags, removeTag, importLinks, refreshMeta, setSort, getAll, render };
 })();
@@ -0,0 +1,269 @@
+/**
+ * lists.js — Named todo lists
+ * Keeps the set of lists (e.g. "My tasks", "Team sprint", "Groceries"),
+ * which one is open in the todos panel, and the list bar used to switch,
+ * create, rename, share and delete them. Todos point at their list by id.
+ * A shared list (and its todos) is visible to every member of the sync
+ * server; see sync.js.
+ */
+
+const Lists = (() => {
+  const STORAGE_KEY = 'vt_lists';
+  const CURRENT_KEY = 'vt_current_list';
+
+  /** The list every todo from before lists existed belongs to. */
+  const DEFAULT_ID = 'list_default';
+  const DEFAULT_NAME = 'My tasks';
+
+  // ── Internal State ──────────────────────────────────────────────────────────
+
+  /** @type {Array<{id:string, name:string, shared:boolean, createdAt:number, updatedAt?:number}>} */
+  let lists = [];
+  let currentId = DEFAULT_ID;
+
+  /** Called after any change to the lists or the current list. */
+  const listeners = [];
+
+  // ── Persistence ─────────────────────────────────────────────────────────────
+
+  function genId() {
+    return `list_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  async function load() {
+    lists = await Sync.load(STORAGE_KEY, []);
+    if (lists.length === 0) {
+      lists = [{ id: DEFAULT_ID, name: DEFAULT_NAME, shared: false, createdAt: Date.now() }];
+      Sync.save(STORAGE_KEY, lists);
+    }
+    lists.sort((a, b) => a.createdAt - b.createdAt);
+    const saved = await Storage.get(CURRENT_KEY, null);
+    currentId = lists.some((l) => l.id === saved) ? saved : lists[0].id;
+  }
+
+  function save() {
+    Sync.save(STORAGE_KEY, lists);
+  }
+
+  function changed() {
+    // The open list may have been deleted (here or in another tab).
+    if (!lists.some((l) => l.id === currentId)) currentId = lists[0].id;
+    renderBar();
+    listeners.forEach((fn) => fn());
+  }
+
+  /** The list collection as seen by UndoHistory. */
+  const historyStore = {
+    get: () => lists,
+    set: (list) => {
+      lists = list;
+      save();
+      changed();
+    },
+  };
+
+  function commit(label, mutate) {
+    return UndoHistory.track(label, historyStore, mutate);
+  }
+
+  // ── Queries ─────────────────────────────────────────────────────────────────
+
+  /** @returns {Array<{id:string, name:string, shared:boolean}>} */
+  function all() {
+    return lists.map((l) => ({ ...l }));
+  }
+
+  /** @returns {string} Id of the list open in the todos panel. */
+  function current() {
+    return currentId;
+  }
+
+  function get(id) {
+    const list = lists.find((l) => l.id === id);
+    return list ? { ...list } : null;
+  }
+
+  /**
+   * Find a list by spoken or typed name: exact match first, then prefix.
+   * @param {string} name
+   */
+  function findByName(name) {
+    const lower = name.trim().toLowerCase().replace(/\s+list$/, '');
+    return lists.find((l) => l.name.toLowerCase() === lower)
+      || lists.find((l) => l.name.toLowerCase().startsWith(lower))
+      || null;
+  }
+
+  /**
+   * Register a callback for changes to the lists or the open list.
+   * @param {function} fn
+   */
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  // ── Actions ─────────────────────────────────────────────────────────────────
+
+  /** Open a list in the todos panel. */
+  function open(id) {
+    if (!lists.some((l) => l.id === id) || id === currentId) return;
+    currentId = id;
+    Storage.set(CURRENT_KEY, id);
+    changed();
+  }
+
+  /**
+   * Create a list and open it.
+   * @param {string} name
+   * @returns {string|null} The new list's id, or null if the name is empty or taken.
+   */
+  function create(name) {
+    const trimmed = name.trim();
+    if (!trimmed || lists.some((l) => l.name.toLowerCase() === trimmed.toLowerCase())) return null;
+    const list = { id: genId(), name: trimmed, shared: false, createdAt: Date.now() };
+    commit(`create list "${trimmed}"`, () => {
+      lists.push(list);
+    });
+    open(list.id);
+    return list.id;
+  }
+
+  function rename(id, newName) {
+    const list = lists.find((l) => l.id === id);
+    const trimmed = newName.trim();
+    if (!list || !trimmed || trimmed === list.name) return false;
+    if (lists.some((l) => l.id !== id && l.name.toLowerCase() === trimmed.toLowerCase())) return false;
+    commit(`rename list "${list.name}"`, () => {
+      list.name = trimmed;
+    });
+    return true;
+  }
+
+  function setShared(id, shared) {
+    const list = lists.find((l) => l.id === id);
+    if (!list || list.shared === shared) return;
+    commit(`${shared ? 'share' : 'unshare'} list "${list.name}"`, () => {
+      list.shared = shared;
+    });
+  }
+
+  /** Delete a list and its todos as one undoable step. The last list can't be deleted. */
+  function remove(id) {
+    const list = lists.find((l) => l.id === id);
+    if (!list || lists.length === 1) return false;
+    UndoHistory.batch(`delete list "${list.name}"`, () => {
+      Todos.removeList(id);
+      commit(`delete list "${list.name}"`, () => {
+        lists = lists.filter((l) => l.id !== id);
+      });
+    });
+    return true;
+  }
+
+  /**
+   * Add lists from a backup that aren't here yet (matched by id).
+   * @param {Array<{id:string, name:string, shared?:boolean, createdAt?:number}>} incoming
+   */
+  function importLists(incoming) {
+    const known = new Set(lists.map((l) => l.id));
+    const fresh = incoming
+      .filter((l) => l && l.id && l.name && !known.has(l.id))
+      .map((l) => ({ id: l.id, name: l.name, shared: !!l.shared, createdAt: l.createdAt || Date.now() }));
+    if (fresh.length === 0) return;
+    commit(`import ${fresh.length} list${fresh.length === 1 ? '' : 's'}`, () => {
+      lists.push(...fresh);
+    });
+  }
+
+  // ── List bar ────────────────────────────────────────────────────────────────
+
+  function renderBar() {
+    const select = document.getElementById('list-select');
+    if (!select) return;
+    select.innerHTML = '';
+    lists.forEach((l) => {
+      const option = document.createElement('option');
+      option.value = l.id;
+      option.textContent = l.shared ? `${l.name} · shared` : l.name;
+      select.appendChild(option);
+    });
+    select.value = currentId;
+
+    const list = lists.find((l) => l.id === currentId);
+    const shareBtn = document.getElementById('list-share');
+    if (shareBtn) {
+      shareBtn.setAttribute('aria-pressed', list.shared ? 'true' : 'false');
+      shareBtn.classList.toggle('active', list.shared);
+      shareBtn.title = list.shared ? 'Shared — click to make private' : 'Share this list';
+    }
+    const deleteBtn = document.getElementById('list-delete');
+    if (deleteBtn) deleteBtn.disabled = lists.length === 1;
+  }
+
+  function initBar() {
+    const select = document.getElementById('list-select');
+    if (!select) return;
+    select.addEventListener('change', () => open(select.value));
+
+    document.getElementById('list-new').addEventListener('click', () => {
+      const name = prompt('Name of the new list');
+      if (name === null || !name.trim()) return;
+      if (!create(name)) showToast(`A list called "${name.trim()}" already exists`, 'error');
+    });
+
+    document.getElementById('list-rename').addEventListener('click', () => {
+      const list = lists.find((l) => l.id === currentId);
+      const name = prompt('Rename list', list.name);
+      if (name === null || !name.trim() || name.trim() === list.name) return;
+      if (!rename(list.id, name)) showToast(`A list called "${name.trim()}" already exists`, 'error');
+    });
+
+    document.getElementById('list-share').addEventListener('click', async () => {
+      const list = lists.find((l) => l.id === currentId);
+      const sharing = !list.shared;
+      setShared(list.id, sharing);
+      if (sharing && !(await Storage.get('vt_sync_url', ''))) {
+        showToast('Set up a sync server in Settings so others can see this list', 'info');
+      }
+    });
+
+    document.getElementById('list-delete').addEventListener('click', () => {
+      const list = lists.find((l) => l.id === currentId);
+      const count = Todos.countInList(list.id);
+      if (count > 0 && !confirm(`Delete "${list.name}" and its ${count} task(s)?`)) return;
+      if (remove(list.id)) UndoHistory.offerUndo(`Deleted list "${list.name}"`);
+    });
+  }
+
+  // ── Public API ───────────────────────────────────────────────────────────────
+
+  async function init() {
+    await load();
+    renderBar();
+    initBar();
+
+    Storage.onRemoteChange(STORAGE_KEY, (change) => {
+      const merged = Storage.merge(lists, change);
+      const isNew = merged !== lists;
+      lists = merged;
+      save();
+      if (isNew) changed();
+    });
+  }
+
+  return {
+    DEFAULT_ID,
+    init,
+    all,
+    current,
+    get,
+    findByName,
+    onChange,
+    open,
+    create,
+    rename,
+    setShared,
+    remove,
+    importLists,
+  };
+})();
@@ -0,0 +1,303 @@
+/**
+ * parser.js — Natural-language task parser
+ * Pulls a deadline, priority and categories out of a spoken task so that
+ * "buy milk tomorrow high priority shopping" becomes a clean "Buy milk" task
+ * with its metadata filled in.
+ */
+
+const VoiceParser = (() => {
+  const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december',
+  ];
+  const MONTH_ABBR = MONTHS.map((m) => m.slice(0, 3));
+
+  const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    couple: 2, few: 3,
+  };
+
+  const ORDINAL_WORDS = {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7,
+    eighth: 8, ninth: 9, tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13,
+    fourteenth: 14, fifteenth: 15, sixteenth: 16, seventeenth: 17, eighteenth: 18,
+    nineteenth: 19, twentieth: 20, thirtieth: 30,
+  };
+
+  // Words that introduce a deadline and should be dropped along with it.
+  const DATE_LEAD = '(?:(?:due|by|on|for|before|until)\\s+)?(?:the\\s+)?';
+
+  const NUM = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+  const DAY = `(\\d{1,2})(?:st|nd|rd|th)?|(${Object.keys(ORDINAL_WORDS).join('|')})`;
+  const MONTH = `(${MONTHS.join('|')}|${MONTH_ABBR.join('|')})\\.?`;
+  const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+
+  // ── Date helpers ─────────────────────────────────────────────────────────────
+
+  /** Local midnight for today. */
+  function today() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  /** Format a Date as a local YYYY-MM-DD string (the format used by `todo.deadline`). */
+  function toDateStr(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
+  function addDays(d, n) {
+    const out = new Date(d);
+    out.setDate(out.getDate() + n);
+    return out;
+  }
+
+  function addMonths(d, n) {
+    const out = new Date(d);
+    out.setMonth(out.getMonth() + n);
+    return out;
+  }
+
+  /** Parse "3", "three", "a" → 3, 3, 1. */
+  function toNumber(word) {
+    if (/^\d+$/.test(word)) return parseInt(word, 10);
+    return NUMBER_WORDS[word.toLowerCase()] || null;
+  }
+
+  function monthIndex(word) {
+    const w = word.toLowerCase().replace('.', '');
+    const full = MONTHS.indexOf(w);
+    return full !== -1 ? full : MONTH_ABBR.indexOf(w);
+  }
+
+  function dayNumber(digits, word) {
+    if (digits) return parseInt(digits, 10);
+    return word ? ORDINAL_WORDS[word.toLowerCase()] : null;
+  }
+
+  /** Next occurrence of a weekday strictly after today (1–7 days ahead). */
+  function nextWeekday(index) {
+    const base = today();
+    const diff = ((index - base.getDay() + 7) % 7) || 7;
+    return addDays(base, diff);
+  }
+
+  /**
+   * Build a date for a month/day pair with no year, rolling over to next year
+   * if that day has already passed.
+   */
+  function upcomingDate(month, day) {
+    const base = today();
+    let d = new Date(base.getFullYear(), month, day);
+    if (d.getMonth() !== month) return null; // e.g. "February 31st"
+    if (d < base) d = new Date(base.getFullYear() + 1, month, day);
+    return d;
+  }
+
+  /** Next date (today or later) falling on a day of the month, e.g. the 1st. */
+  function upcomingDay(day) {
+    const base = today();
+    for (let i = 0; i < 12; i++) {
+      const d = new Date(base.getFullYear(), base.getMonth() + i, day);
+      if (d.getDate() === day && d >= base) return d;
+    }
+    return null;
+  }
+
+  // ── Extractors ───────────────────────────────────────────────────────────────
+  // Each extractor is tried in order. The first whose pattern matches supplies the
+  // deadline, and the matched words are removed from the task text.
+
+  const DATE_RULES = [
+    {
+      re: new RegExp(`\\b${DATE_LEAD}(?:the\\s+)?day\\s+after\\s+tomorrow\\b`, 'i'),
+      resolve: () => addDays(today(), 2),
+    },
+    {
+      re: new RegExp(`\\b${DATE_LEAD}(today|tonight|this\\s+(?:morning|afternoon|evening))\\b`, 'i'),
+      resolve: () => today(),
+    },
+    {
+      re: new RegExp(`\\b${DATE_LEAD}tomorrow\\b`, 'i'),
+      resolve: () => addDays(today(), 1),
+    },
+    {
+      // "in two days", "in 3 weeks", "in a month", "in a couple of days"
+      re: new RegExp(`\\b(?:due\\s+)?(?:with)?in\\s+(?:the\\s+next\\s+)?(?:a\\s+)?${NUM}\\s+(?:of\\s+)?(days?|weeks?|months?)\\b`, 'i'),
+      resolve: (m) => {
+        const n = toNumber(m[1]);
+        if (!n) return null;
+        const unit = m[2].toLowerCase();
+        if (unit.startsWith('day')) return addDays(today(), n);
+        if (unit.startsWith('week')) return addDays(today(), n * 7);
+        return addMonths(today(), n);
+      },
+    },
+    {
+      // "next week" → the coming Monday, "next month" → the 1st of next month
+      re: new RegExp(`\\b${DATE_LEAD}next\\s+(week|month)\\b`, 'i'),
+      resolve: (m) => {
+        if (m[1].toLowerCase() === 'week') return nextWeekday(1);
+        const t = today();
+        return new Date(t.getFullYear(), t.getMonth() + 1, 1);
+      },
+    },
+    {
+      // "on March 3rd", "by March the third", "march 3 2027"
+      re: new RegExp(`\\b${DATE_LEAD}${MONTH}\\s+(?:the\\s+)?(?:${DAY})(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+      resolve: (m) => {
+        const month = monthIndex(m[1]);
+        const day = dayNumber(m[2], m[3]);
+        if (month === -1 || !day) return null;
+        if (m[4]) return new Date(parseInt(m[4], 10), month, day);
+        return upcomingDate(month, day);
+      },
+    },
+    {
+      // "on the 3rd of March", "3 March"
+      re: new RegExp(`\\b${DATE_LEAD}(?:${DAY})\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+      resolve: (m) => {
+        const day = dayNumber(m[1], m[2]);
+        const month = monthIndex(m[3]);
+        if (month === -1 || !day) return null;
+        if (m[4]) return new Date(parseInt(m[4], 10), month, day);
+        return upcomingDate(month, day);
+      },
+    },
+    {
+      // "on the 1st", "by the 15th", "due on the first" — the next such day
+      re: new RegExp(`\\b(?:due\\s+on|due|by|on|before|until)\\s+(?:the\\s+)?(?:(\\d{1,2})(?:st|nd|rd|th)\\b|(${Object.keys(ORDINAL_WORDS).join('|')})(?=[.!?\\s]*$))`, 'i'),
+      resolve: (m) => upcomingDay(dayNumber(m[1], m[2])),
+    },
+    {
+      // "next Friday", "this Friday", "on Friday", "by Friday", or a weekday
+      // ending the phrase ("call mom friday"). Elsewhere it is part of the
+      // task ("buy a monday planner").
+      re: new RegExp(`\\b(?:(?:due|by|on|for|before|until)\\s+(?:(?:next|this(?:\\s+coming)?|coming)\\s+)?|(?:next|this(?:\\s+coming)?|coming)\\s+)${WEEKDAY}\\b|\\b${WEEKDAY}(?=[.!?\\s]*$)`, 'i'),
+      resolve: (m) => nextWeekday(WEEKDAYS.indexOf((m[1] || m[2]).toLowerCase())),
+    },
+  ];
+
+  const PRIORITY_RULES = [
+    { re: /\b(?:with\s+)?(?:high|top)\s+priority\b|\bpriority\s+high\b|\b(?:urgent(?:ly)?|asap)\b/i, value: 'high' },
+    { re: /\b(?:with\s+)?(?:low)\s+priority\b|\bpriority\s+low\b|\b(?:not\s+urgent|someday)\b/i, value: 'low' },
+    { re: /\b(?:with\s+)?(?:medium|normal)\s+priority\b|\bpriority\s+(?:medium|normal)\b/i, value: 'medium' },
+  ];
+
+  function escapeRe(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /** Remove a match from a string and collapse the whitespace it leaves behind. */
+  function cut(str, match) {
+    return `${str.slice(0, match.index)} ${str.slice(match.index + match[0].length)}`
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  function extractDeadline(text) {
+    for (const rule of DATE_RULES) {
+      const m = text.match(rule.re);
+      if (!m) continue;
+      const date = rule.resolve(m);
+      if (date) return { text: cut(text, m), deadline: toDateStr(date) };
+    }
+    return { text, deadline: null };
+  }
+
+  function extractPriority(text) {
+    for (const rule of PRIORITY_RULES) {
+      const m = text.match(rule.re);
+      if (m) return { text: cut(text, m), priority: rule.value };
+    }
+    return { text, priority: null };
+  }
+
+  /**
+   * Pull category names out of the text. A category is taken when it is
+   * introduced ("for work", "in shopping", "category health") or when it is a
+   * trailing word ("... shopping"), so "call personal trainer" keeps its text.
+   */
+  function extractCategories(text, categories) {
+    const found = [];
+    let out = text;
+
+    categories.forEach((cat) => {
+      const name = escapeRe(cat);
+      const intro = new RegExp(`\\b(?:for|in|under|into|category|tag(?:ged)?)\\s+${name}(?:\\s+(?:category|list))?\\b`, 'i');
+      const trailing = new RegExp(`(?:^|\\s)${name}(?:\\s+(?:category|list))?$`, 'i');
+      const m = out.match(intro) || out.match(trailing);
+      if (m) {
+        found.push(cat);
+        out = cut(out, m);
+      }
+    });
+
+    return { text: out, categories: found };
+  }
+
+  /** Strip connector words left dangling at either end, then capitalise. */
+  function tidy(text) {
+    const cleaned = text
+      .replace(/\s+,/g, ',')
+      .replace(/^(?:[,\s]|and\b|to\b|please\b|remind me to\b|i need to\b)+/i, '')
+      .replace(/(?:[,.\s]|\band|\bdue|\bby|\bon|\bwith|\bfor)+$/i, '')
+      .trim();
+    return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+  }
+
+  // ── Public API ───────────────────────────────────────────────────────────────
+
+  /**
+   * Parse a spoken task into a title plus the options accepted by `Todos.add()`.
+   * Fields that were not mentioned are left null / empty so the caller can
+   * fall back to its defaults.
+   *
+   * @param {string} transcript
+   * @param {{categories?: string[]}} [opts] - Category names that may be spoken.
+   * @returns {{text:string, deadline:string|null, priority:'low'|'medium'|'high'|null, categories:string[]}}
+   */
+  function parseTask(transcript, opts = {}) {
+    const categories = opts.categories || [];
+    let text = transcript.trim();
+
+    const priority = extractPriority(text);
+    text = priority.text;
+
+    const deadline = extractDeadline(text);
+    text = deadline.text;
+
+    const cats = extractCategories(text, categories);
+    text = cats.text;
+
+    // Nothing left but metadata (e.g. "tomorrow high priority") — keep the original.
+    const title = tidy(text) || transcript.trim();
+
+    return {
+      text: title,
+      deadline: deadline.deadline,
+      priority: priority.priority,
+      categories: cats.categories,
+    };
+  }
+
+  /**
+   * Split one dictated phrase into separate tasks on the keywords "next task"
+   * or "new task" ("buy milk next task call mom" → ["buy milk", "call mom"]).
+   * A plain "next" is part of the task ("read the next chapter").
+   *
+   * @param {string} transcript
+   * @returns {string[]}
+   */
+  function splitTasks(transcript) {
+    return transcript
+      .split(/\s*\b(?:next|new)\s+task\b[,.]?\s*/i)
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  return { parseTask, splitTasks, toDateStr };
+})();
@@ -0,0 +1,106 @@
+/**
+ * reminders.js — Deadline reminders via the Notification API
+ * Fires notifications with timers while the app is open, and hands the same
+ * schedule to the service worker (sw.js) so reminders can still appear when
+ * the app is closed.
+ */
+
+const Reminders = (() => {
+  /** setTimeout can't wait longer than ~24.8 days; later reminders are picked up on a future visit. */
+  const MAX_DELAY = 2 ** 31 - 1;
+
+  /** Active timers, keyed by reminder tag. */
+  const timers = new Map();
+
+  let registration = null;
+  /** The last schedule, re-sent to the service worker once it is ready. */
+  let lastUpcoming = [];
+
+  function isSupported() {
+    return 'Notification' in window;
+  }
+
+  /**
+   * Ask for notification permission. Must be called from a user gesture
+   * (e.g. submitting a task that has reminders).
+   * @returns {Promise<boolean>} Whether notifications are allowed.
+   */
+  async function requestPermission() {
+    if (!isSupported()) return false;
+    if (Notification.permission === 'granted') return true;
+    if (Notification.permission === 'denied') return false;
+    return (await Notification.requestPermission()) === 'granted';
+  }
+
+  /** Show a notification, through the service worker when there is one (required on Android). */
+  function notify({ tag, title, body }) {
+    if (!isSupported() || Notification.permission !== 'granted') return;
+    const options = { body, tag };
+    if (registration) {
+      registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  }
+
+  /**
+   * Replace the reminder schedule.
+   * @param {Array<{tag:string, at:number, title:string, body:string}>} entries
+   *   `tag` must be unique and stable per reminder; `at` is a timestamp in ms.
+   */
+  function schedule(entries) {
+    const now = Date.now();
+    const upcoming = entries.filter((e) => e.at > now);
+    const wanted = new Set(upcoming.map((e) => e.tag));
+
+    // Drop timers for reminders that were removed, completed or rescheduled.
+    timers.forEach((timer, tag) => {
+      if (!wanted.has(tag)) {
+        clearTimeout(timer);
+        timers.delete(tag);
+      }
+    });
+
+    upcoming.forEach((entry) => {
+      const delay = entry.at - now;
+      if (timers.has(entry.tag) || delay > MAX_DELAY) return;
+      timers.set(entry.tag, setTimeout(() => {
+        timers.delete(entry.tag);
+        notify(entry);
+      }, delay));
+    });
+
+    lastUpcoming = upcoming;
+    postToWorker();
+  }
+
+  function postToWorker() {
+    if (registration && registration.active) {
+      registration.active.postMessage({ type: 'schedule-reminders', reminders: lastUpcoming });
+    }
+  }
+
+  /**
+   * Register the service worker that delivers reminders while the app is
+   * closed. Service workers only run over http(s), so this is a no-op when
+   * index.html is opened from the file system.
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    try {
+      await navigator.serviceWorker.register('sw.js');
+      registration = await navigator.serviceWorker.ready;
+      postToWorker();
+      // Periodic sync lets the worker check for due reminders even without
+      // Notification Triggers; it is only granted to installed apps.
+      if (registration.periodicSync) {
+        await registration.periodicSync.register('vt-reminders', { minInterval: 15 * 60 * 1000 }).catch(() => {});
+      }
+    } catch (e) {
+      console.warn('Reminders: service worker registration failed', e);
+    }
+  }
+
+  return { isSupported, requestPermission, schedule, init };
+})();
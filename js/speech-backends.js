@@ -0,0 +1,267 @@
+/**
+ * speech-backends.js — Speech recognition engines for SpeechModule
+ *
+ * Every backend exposes:
+ *   name          {string}
+ *   isSupported() {boolean}
+ *   create()      → a recogniser with the same surface as the browser's
+ *                   SpeechRecognition: `continuous`, `interimResults`,
+ *                   `maxAlternatives`, `lang`, `start()`, `stop()` and the
+ *                   `onstart`, `onresult`, `onerror`, `onend` handlers.
+ *
+ * `onresult` receives `{ resultIndex, results }` where each result is an
+ * array-like of `{ transcript, confidence }` alternatives with an `isFinal`
+ * flag; `onerror` receives `{ error }` with a short error code.
+ */
+
+const SpeechBackends = (() => {
+  /** Build a result list shaped like SpeechRecognitionResultList. */
+  function makeResult(alternatives, isFinal = true) {
+    const result = alternatives.map((a) => ({ transcript: a.transcript, confidence: a.confidence || 0 }));
+    result.isFinal = isFinal;
+    return result;
+  }
+
+  // ── Web Speech API ───────────────────────────────────────────────────────────
+
+  /** The browser's built-in recogniser (Chrome, Edge, Safari). */
+  function webSpeech() {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    return {
+      name: 'webspeech',
+      isSupported: () => Recognition !== null,
+      create: () => new Recognition(),
+    };
+  }
+
+  // ── Local transcription server ───────────────────────────────────────────────
+
+  /** RMS level (0–1) above which the microphone is considered to hear speech. */
+  const SPEECH_LEVEL = 0.02;
+  /** Stop a recording after this much silence following speech. */
+  const SILENCE_MS = 1500;
+  /** Give up if nothing is said within this time. */
+  const NO_SPEECH_MS = 8000;
+
+  /**
+   * Records with MediaRecorder and posts each utterance to a transcription
+   * endpoint (e.g. a self-hosted Whisper server). The request is multipart
+   * form data with `file`, `language` and `response_format=json`; the server
+   * answers `{ "text": "..." }` or `{ "alternatives": [{ "transcript", "confidence" }] }`.
+   *
+   * @param {{endpoint: string}} config
+   */
+  function recorder({ endpoint }) {
+    const available = typeof window.MediaRecorder !== 'undefined'
+      && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+    function create() {
+      const rec = {
+        continuous: false,
+        interimResults: false,
+        maxAlternatives: 1,
+        lang: 'en-US',
+        onstart: null,
+        onresult: null,
+        onerror: null,
+        onend: null,
+      };
+
+      let stream = null;
+      let mediaRecorder = null;
+      let audioCtx = null;
+      let levelTimer = null;
+      let active = false;
+      let cancelled = false;
+      let discard = false;
+
+      const emit = (handler, payload) => {
+        if (typeof rec[handler] === 'function') rec[handler](payload);
+      };
+
+      function cleanup() {
+        clearInterval(levelTimer);
+        levelTimer = null;
+        if (audioCtx) audioCtx.close().catch(() => {});
+        audioCtx = null;
+        if (stream) stream.getTracks().forEach((t) => t.stop());
+        stream = null;
+        active = false;
+      }
+
+      /** Watch the input level and end the utterance after a pause. */
+      function watchLevel() {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return;
+        audioCtx = new Ctx();
+        const analyser = audioCtx.createAnalyser();
+        analyser.fftSize = 1024;
+        audioCtx.createMediaStreamSource(stream).connect(analyser);
+        const samples = new Float32Array(analyser.fftSize);
+
+        const startedAt = Date.now();
+        let heardSpeech = false;
+        let lastSpeech = 0;
+
+        levelTimer = setInterval(() => {
+          analyser.getFloatTimeDomainData(samples);
+          const rms = Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length);
+          const now = Date.now();
+          if (rms > SPEECH_LEVEL) {
+            heardSpeech = true;
+            lastSpeech = now;
+          } else if (heardSpeech && now - lastSpeech > SILENCE_MS) {
+            clearInterval(levelTimer);
+            rec.stop();
+          } else if (!heardSpeech && now - startedAt > NO_SPEECH_MS) {
+            clearInterval(levelTimer);
+            discard = true;
+            emit('onerror', { error: 'no-speech' });
+            rec.stop();
+          }
+        }, 100);
+      }
+
+      async function transcribe(blob) {
+        const form = new FormData();
+        form.append('file', blob, 'speech.webm');
+        form.append('language', rec.lang.split('-')[0]);
+        form.append('response_format', 'json');
+
+        const res = await fetch(endpoint, { method: 'POST', body: form });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        if (Array.isArray(data.alternatives)) return data.alternatives.slice(0, rec.maxAlternatives);
+        return [{ transcript: data.text || '', confidence: 0 }];
+      }
+
+      async function begin() {
+        try {
+          stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (e) {
+          cleanup();
+          emit('onerror', { error: 'not-allowed' });
+          emit('onend');
+          return;
+        }
+        if (cancelled) {
+          // stop() was called while the permission prompt was open.
+          cleanup();
+          emit('onend');
+          return;
+        }
+
+        const chunks = [];
+        mediaRecorder = new MediaRecorder(stream);
+        mediaRecorder.ondataavailable = (e) => {
+          if (e.data && e.data.size > 0) chunks.push(e.data);
+        };
+        mediaRecorder.onstop = async () => {
+          const hasAudio = chunks.length > 0 && !discard;
+          cleanup();
+          if (hasAudio) {
+            try {
+              const alternatives = await transcribe(new Blob(chunks, { type: mediaRecorder.mimeType }));
+              if (alternatives.some((a) => a.transcript.trim())) {
+                emit('onresult', { resultIndex: 0, results: [makeResult(alternatives)] });
+              }
+            } catch (e) {
+              emit('onerror', { error: 'network' });
+            }
+          }
+          emit('onend');
+        };
+
+        mediaRecorder.start();
+        emit('onstart');
+        watchLevel();
+      }
+
+      rec.start = () => {
+        if (active) throw new Error('Already started');
+        active = true;
+        cancelled = false;
+        discard = false;
+        mediaRecorder = null;
+        begin();
+      };
+
+      rec.stop = () => {
+        cancelled = true;
+        if (mediaRecorder && mediaRecorder.state !== 'inactive') mediaRecorder.stop();
+      };
+
+      return rec;
+    }
+
+    return {
+      name: 'recorder',
+      isSupported: () => available && !!endpoint,
+      create,
+    };
+  }
+
+  // ── Fake ─────────────────────────────────────────────────────────────────────
+
+  /**
+   * A scriptable backend for tests and demos. Nothing is recorded; call
+   * `say()` / `fail()` on the backend to drive the active recogniser.
+   *
+   *   const fake = SpeechBackends.fake();
+   *   SpeechModule.useBackend(fake);
+   *   // tap the mic, then:
+   *   fake.say('buy milk tomorrow');
+   */
+  function fake() {
+    let current = null;
+
+    function create() {
+      const rec = {
+        continuous: false,
+        interimResults: false,
+        maxAlternatives: 1,
+        lang: 'en-US',
+        onstart: null,
+        onresult: null,
+        onerror: null,
+        onend: null,
+        start() {
+          current = rec;
+          if (rec.onstart) rec.onstart();
+        },
+        stop() {
+          if (current !== rec) return;
+          current = null;
+          if (rec.onend) rec.onend();
+        },
+      };
+      return rec;
+    }
+
+    return {
+      name: 'fake',
+      isSupported: () => true,
+      create,
+      /**
+       * Emit a result on the active recogniser.
+       * @param {string|Array<{transcript:string, confidence:number}>} speech
+       * @param {{isFinal?: boolean, confidence?: number}} [opts]
+       */
+      say(speech, { isFinal = true, confidence = 0.95 } = {}) {
+        if (!current || !current.onresult) return;
+        const alternatives = typeof speech === 'string' ? [{ transcript: speech, confidence }] : speech;
+        current.onresult({ resultIndex: 0, results: [makeResult(alternatives, isFinal)] });
+        if (isFinal && !current.continuous) current.stop();
+      },
+      /** Emit an error (e.g. 'network', 'no-speech') and end the session. */
+      fail(error) {
+        const rec = current;
+        if (!rec) return;
+        if (rec.onerror) rec.onerror({ error });
+        rec.stop();
+      },
+    };
+  }
+
+  return { webSpeech, recorder, fake };
+})();
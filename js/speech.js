@@ -1,48 +1,73 @@
 /**
- * speech.js — Web Speech API voice recognition module
- * Wraps SpeechRecognition with callbacks for result and state changes.
+ * speech.js — Voice recognition module
+ * Wraps a recognition backend (see speech-backends.js) with callbacks for
+ * result and state changes. Defaults to the browser's Web Speech API.
  */
 
 const SpeechModule = (() => {
-  // Detect browser support
-  const SpeechRecognition =
-    window.SpeechRecognition || window.webkitSpeechRecognition || null;
+  let backend = SpeechBackends.webSpeech();
+
+  /** Ask for this many alternatives from the recogniser. */
+  const MAX_ALTERNATIVES = 5;
+  /** Below this confidence the user is asked to pick an alternative. */
+  const LOW_CONFIDENCE = 0.7;
 
   let recognition = null;
+  let chooser = null;
   let _onResult = null;
   let _onStart = null;
   let _onStop = null;
   let _onError = null;
+  let _onInterim = null;
   let isListening = false;
+  let continuousMode = false;
+  let stopRequested = false;
+  let lang = 'en-US';
 
   /**
-   * Returns true if the browser supports the Web Speech API.
+   * Returns true if the current backend can run in this browser.
    * @returns {boolean}
    */
   function isSupported() {
-    return SpeechRecognition !== null;
+    return backend.isSupported();
+  }
+
+  /**
+   * Switch to another recognition backend. Stops any session in progress.
+   * @param {{name:string, isSupported:function, create:function}} next
+   */
+  function useBackend(next) {
+    if (isListening) stop();
+    backend = next;
+    recognition = null;
   }
 
   /**
    * Initialise (or re-use) the recognition instance and register callbacks.
    * @param {object} callbacks
-   * @param {function} callbacks.onResult   - Called with the recognised string.
-   * @param {function} [callbacks.onStart]  - Called when listening begins.
-   * @param {function} [callbacks.onStop]   - Called when listening ends.
-   * @param {function} [callbacks.onError]  - Called with an error message string.
+   * @param {function} callbacks.onResult    - Called with each final recognised string.
+   * @param {function} [callbacks.onStart]   - Called when listening begins.
+   * @param {function} [callbacks.onStop]    - Called when listening ends.
+   * @param {function} [callbacks.onError]   - Called with an error message string.
+   * @param {function} [callbacks.onInterim] - Called with the not-yet-final text (continuous mode).
+   * @param {boolean}  [callbacks.continuous=false] - Keep listening across pauses until stop() is called.
    */
-  function init({ onResult, onStart, onStop, onError } = {}) {
+  function init({ onResult, onStart, onStop, onError, onInterim, continuous = false } = {}) {
     if (!isSupported()) return;
 
     _onResult = onResult || null;
     _onStart = onStart || null;
     _onStop = onStop || null;
     _onError = onError || null;
+    _onInterim = onInterim || null;
+    continuousMode = continuous;
+    stopRequested = false;
 
-    recognition = new SpeechRecognition();
-    recognition.continuous = false;
-    recognition.interimResults = false;
-    recognition.lang = 'en-US';
+    recognition = backend.create();
+    recognition.continuous = continuous;
+    recognition.interimResults = continuous;
+    recognition.maxAlternatives = MAX_ALTERNATIVES;
+    recognition.lang = lang;
 
     recognition.onstart = () => {
       isListening = true;
@@ -50,11 +75,22 @@ const SpeechModule = (() => {
     };
 
     recognition.onresult = (event) => {
-      const transcript = event.results[0][0].transcript.trim();
-      if (_onResult && transcript) _onResult(transcript);
+      let interim = '';
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        if (result.isFinal) {
+          deliver(result);
+        } else {
+          interim += result[0].transcript;
+        }
+      }
+      if (_onInterim) _onInterim(interim.trim());
     };
 
     recognition.onerror = (event) => {
+      // In continuous mode a pause is not an error — onend will restart us.
+      if (event.error === 'no-speech' && continuousMode && !stopRequested) return;
+      stopRequested = true;
       isListening = false;
       if (_onStop) _onStop();
       // Ignore no-speech errors silently; surface others.
@@ -64,14 +100,60 @@ const SpeechModule = (() => {
     };
 
     recognition.onend = () => {
+      // Browsers end a session after a period of silence; keep going until told to stop.
+      if (continuousMode && !stopRequested) {
+        try {
+          recognition.start();
+          return;
+        } catch (e) {
+          // Could not restart — fall through and report the stop.
+        }
+      }
       isListening = false;
+      if (_onInterim) _onInterim('');
       if (_onStop) _onStop();
     };
   }
 
+  /**
+   * Pass a final result on to the onResult callback, routing it through the
+   * chooser first when the recogniser was not confident about it.
+   * A confidence of 0 means the browser did not report one, so it is trusted.
+   * @param {SpeechRecognitionResult} result
+   */
+  function deliver(result) {
+    const onResult = _onResult;
+    if (!onResult) return;
+
+    const alternatives = Array.from(result)
+      .map((alt) => ({ transcript: alt.transcript.trim(), confidence: alt.confidence || 0 }))
+      .filter((alt, i, all) => alt.transcript && all.findIndex((a) => a.transcript === alt.transcript) === i);
+    if (alternatives.length === 0) return;
+
+    const best = alternatives[0];
+    if (chooser && best.confidence > 0 && best.confidence < LOW_CONFIDENCE) {
+      chooser(alternatives, (text) => {
+        const picked = (text || '').trim();
+        if (picked) onResult(picked);
+      });
+    } else {
+      onResult(best.transcript);
+    }
+  }
+
+  /**
+   * Register the UI used to confirm low-confidence results.
+   * @param {function(Array<{transcript:string, confidence:number}>, function(string|null))} fn
+   *   Called with the alternatives (best first) and a callback to invoke with
+   *   the chosen text, or null to discard the result.
+   */
+  function setChooser(fn) {
+    chooser = fn || null;
+  }
+
   /**
    * Start listening.  Reinitialises first to ensure a clean state.
-   * @param {object} callbacks - Same shape as init().
+   * @param {object} callbacks - Same shape as init(), including the `continuous` flag.
    */
   function start(callbacks) {
     if (!isSupported()) return;
@@ -87,11 +169,21 @@ const SpeechModule = (() => {
    * Stop listening.
    */
   function stop() {
+    stopRequested = true;
     if (recognition && isListening) {
       recognition.stop();
     }
   }
 
+  /**
+   * Set the BCP 47 language used for recognition (e.g. 'de-DE').
+   * Takes effect the next time listening starts.
+   * @param {string} code
+   */
+  function setLang(code) {
+    if (code) lang = code;
+  }
+
   /**
    * Toggle listening on/off.
    * @param {object} callbacks
@@ -107,5 +199,16 @@ const SpeechModule = (() => {
     }
   }
 
-  return { isSupported, start, stop, toggle, get listening() { return isListening; } };
+  return {
+    isSupported,
+    start,
+    stop,
+    toggle,
+    setLang,
+    setChooser,
+    useBackend,
+    get backend() { return backend.name; },
+    get listening() { return isListening; },
+    get lang() { return lang; },
+  };
 })();
@@ -0,0 +1,144 @@
+/**
+ * spoken-url.js — Spoken web address parser
+ * Turns what the recogniser heard into a URL: "github dot com slash some dash
+ * user" becomes https://github.com/some-user, "go to github" becomes
+ * https://github.com. Punctuation can be spoken in English or the
+ * recognition language; letters spelled one by one ("g h dot io") are joined
+ * up. Speech counts as an address only if it ends in a real top-level domain
+ * (see tlds.js) or is localhost, so ordinary sentences are left alone.
+ * Paths and query strings keep the case they were heard in.
+ */
+
+const SpokenUrl = (() => {
+  /**
+   * Spoken words for URL punctuation, by base language. English words are
+   * always accepted too, since "slash" and "dot" are common in other languages.
+   */
+  const SYMBOL_WORDS = {
+    en: {
+      dot: '.', point: '.', 'full stop': '.',
+      slash: '/', 'forward slash': '/',
+      dash: '-', hyphen: '-', minus: '-',
+      underscore: '_', 'under score': '_',
+      colon: ':',
+      at: '@', 'at sign': '@',
+      'double u': 'w', 'double-u': 'w',
+    },
+    de: {
+      punkt: '.', schrägstrich: '/', bindestrich: '-', minus: '-',
+      unterstrich: '_', doppelpunkt: ':', klammeraffe: '@', 'at-zeichen': '@',
+    },
+    es: {
+      punto: '.', barra: '/', guion: '-', 'guion bajo': '_', 'guión': '-', 'guión bajo': '_',
+      'dos puntos': ':', arroba: '@',
+    },
+  };
+
+  /**
+   * Phrases that introduce an address and are dropped. After a navigation
+   * phrase a bare site name is taken as a .com address ("go to github");
+   * after the others it must be spoken in full ("save time" is not time.com).
+   */
+  const LEAD_PHRASES = {
+    navigate: {
+      en: ['go to', 'open', 'visit', 'navigate to', 'take me to'],
+      de: ['gehe zu', 'geh zu', 'öffne', 'besuche'],
+      es: ['ir a', 've a', 'abre', 'visita'],
+    },
+    save: {
+      en: ['save'],
+      de: ['speichere'],
+      es: ['guarda'],
+    },
+  };
+
+  /**
+   * Top-level domain guessed for a bare site name after a navigation phrase,
+   * unless the name is a common word ("go to bed"; see common-words.js).
+   */
+  const GUESSED_TLD = 'com';
+
+  function baseLang(lang) {
+    return (lang || 'en').split('-')[0];
+  }
+
+  /** The lead phrase a text starts with, from one LEAD_PHRASES table. */
+  function leadIn(text, table, base) {
+    return [...table.en, ...(base === 'en' ? [] : table[base] || [])]
+      .find((p) => text === p || text.startsWith(`${p} `)) || null;
+  }
+
+  /** Replace spoken punctuation in a word list, longest phrases first. */
+  function symbolise(words, table) {
+    const phrases = Object.keys(table)
+      .map((p) => p.split(' '))
+      .sort((a, b) => b.length - a.length);
+    const lower = words.map((w) => w.toLowerCase());
+    const out = [];
+    for (let i = 0; i < words.length;) {
+      const match = phrases.find((p) => p.every((w, j) => lower[i + j] === w));
+      if (match) {
+        out.push(table[match.join(' ')]);
+        i += match.length;
+      } else {
+        out.push(words[i]);
+        i++;
+      }
+    }
+    return out;
+  }
+
+  /** Is this host made of valid labels ending in a known top-level domain? */
+  function validHost(host) {
+    if (host === 'localhost') return true;
+    const labels = host.split('.');
+    return labels.length >= 2
+      && Tlds.has(labels[labels.length - 1])
+      && labels.every((l) => /^[\p{L}\p{N}](?:[\p{L}\p{N}-]*[\p{L}\p{N}])?$/u.test(l));
+  }
+
+  /**
+   * Read a web address out of a transcript.
+   * @param {string} transcript
+   * @param {string} [lang] - BCP 47 recognition language, e.g. 'de-DE'.
+   * @returns {string|null} The address (https, or http for localhost, unless
+   *   a scheme was spoken), or null if the speech isn't one.
+   */
+  function parse(transcript, lang = 'en-US') {
+    // Recognisers add sentence punctuation ("Github.com."); a ? or , inside
+    // a word is part of the address.
+    let text = transcript.replace(/[,!?]+(?=\s|$)/g, ' ').replace(/\.+\s*$/, '').trim();
+
+    const base = baseLang(lang);
+    const navigation = leadIn(text.toLowerCase(), LEAD_PHRASES.navigate, base);
+    const lead = navigation || leadIn(text.toLowerCase(), LEAD_PHRASES.save, base);
+    if (lead) text = text.slice(lead.length).trim();
+    if (!text) return null;
+
+    const words = symbolise(text.split(/\s+/), { ...SYMBOL_WORDS.en, ...(SYMBOL_WORDS[base] || {}) });
+    let joined = words.join('');
+
+    // "go to github" — one name, or one spelled-out name, and no domain.
+    const spelled = words.length > 1 && words.every((w) => w.length === 1);
+    const bareName = /^[\p{L}\p{N}-]+$/u.test(joined)
+      && (spelled || (words.length === 1 && !CommonWords.has(joined)));
+    if (navigation && bareName && joined.toLowerCase() !== 'localhost') joined = `${joined}.${GUESSED_TLD}`;
+
+    // Local development servers rarely have certificates.
+    const scheme = /^localhost(?![\p{L}\p{N}.-])/iu.test(joined) ? 'http' : 'https';
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(joined) ? joined : `${scheme}://${joined}`;
+    const match = withScheme.match(/^(https?):\/\/([^/?#]+)(.*)$/i);
+    // An @ before the path is an email address, not a page.
+    if (!match || match[2].includes('@')) return null;
+    const host = match[2].toLowerCase().replace(/:\d+$/, '');
+    if (!validHost(host)) return null;
+
+    try {
+      return new URL(`${match[1].toLowerCase()}://${host}${match[2].match(/:\d+$/) || ''}${match[3]}`).href;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  return { parse };
+})();
@@ -1,46 +1,472 @@
 /**
- * storage.js — LocalStorage helper functions
- * Provides a simple key-value store with JSON serialization.
+ * storage.js — Persistent storage on IndexedDB
+ * Provides an async key-value store for settings and small values, record
+ * collections (todos, links) that are written one record at a time, and
+ * schema versions with ordered migrations for collections whose shape
+ * changes over time. Falls back to localStorage where IndexedDB is
+ * unavailable, and warns with a toast whenever a write fails.
+ *
+ * Record writes are announced to other open tabs (BroadcastChannel, or
+ * `storage` events on the localStorage fallback) so they can merge them;
+ * every written record carries an `updatedAt` stamp and the newer copy wins.
  */
 
 const Storage = (() => {
+  const DB_NAME = 'voicedo';
+  const DB_VERSION = 3;
+  const KV_STORE = 'kv';
+
+  /** Keys stored record by record (one object store each, keyed by `id`). */
+  const COLLECTIONS = ['vt_todos', 'vt_links', 'vt_lists', 'vt_collections'];
+
+  /** Holds the schema version of every migrated collection: { [key]: number }. */
+  const VERSIONS_KEY = 'vt_schema';
+  /** Set once the data of the localStorage era has been copied over. */
+  const MIGRATED_KEY = 'vt_moved_to_indexeddb';
+
+  /** BroadcastChannel used to tell other tabs about record writes. */
+  const CHANNEL_NAME = 'voicedo-records';
+
+  /** Don't repeat the write-failure toast more often than this. */
+  const WARN_INTERVAL_MS = 10000;
+
+  /** @type {IDBDatabase|null} Null when running on the localStorage fallback. */
+  let db = null;
+  let ready = null;
+  let lastWarning = 0;
+
+  /** Last written JSON of each record, per collection, so only changes are written. */
+  const written = new Map();
+
+  /** @type {BroadcastChannel|null} */
+  let channel = null;
+  /** Callbacks for changes made in other tabs, per collection. */
+  const remoteListeners = new Map();
+
+  // ── IndexedDB plumbing ──────────────────────────────────────────────────────
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /** Resolves when a transaction commits; rejects with its error if it aborts. */
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const upgradeDb = req.result;
+        if (!upgradeDb.objectStoreNames.contains(KV_STORE)) upgradeDb.createObjectStore(KV_STORE);
+        COLLECTIONS.forEach((name) => {
+          if (!upgradeDb.objectStoreNames.contains(name)) upgradeDb.createObjectStore(name, { keyPath: 'id' });
+        });
+      };
+      req.onsuccess = () => {
+        const opened = req.result;
+        // A newer version of the app wants to upgrade the database: let it,
+        // rather than blocking it until this tab is closed.
+        opened.onversionchange = () => {
+          opened.close();
+          showToast('VoiceDo was updated in another tab — reload to keep saving changes', 'info', {
+            label: 'Reload',
+            onClick: () => location.reload(),
+          });
+        };
+        resolve(opened);
+      };
+      req.onerror = () => reject(req.error);
+      // An older tab still has the database open. Keep waiting: onsuccess
+      // follows once it lets go, and the data must not end up in localStorage.
+      req.onblocked = () => {
+        showToast('Close VoiceDo in your other tabs to finish updating', 'info');
+      };
+    });
+  }
+
+  // ── Failure reporting ───────────────────────────────────────────────────────
+
+  function isQuotaError(e) {
+    return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  }
+
+  /** Tell the user a save failed, without flooding them with toasts. */
+  function reportWriteError(what, e) {
+    console.error(`Storage: failed to save "${what}"`, e);
+    const now = Date.now();
+    if (now - lastWarning < WARN_INTERVAL_MS) return;
+    lastWarning = now;
+    showToast(
+      isQuotaError(e)
+        ? 'Storage is full — recent changes were not saved. Export a backup and delete old items.'
+        : 'Your changes could not be saved',
+      'error',
+    );
+  }
+
+  // ── localStorage fallback ───────────────────────────────────────────────────
+
+  function localRead(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw === null ? undefined : JSON.parse(raw);
+    } catch (e) {
+      console.warn(`Storage: failed to parse key "${key}"`, e);
+      return undefined;
+    }
+  }
+
+  function localWrite(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  // ── Setup ───────────────────────────────────────────────────────────────────
+
   /**
-   * Retrieve a value from LocalStorage.
+   * Copy everything saved by the localStorage version of the app into
+   * IndexedDB (once), then clear it from localStorage to free the quota.
+   */
+  async function moveFromLocalStorage() {
+    const flag = await request(db.transaction(KV_STORE).objectStore(KV_STORE).get(MIGRATED_KEY));
+    if (flag) return;
+
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith('vt_')) keys.push(key);
+    }
+
+    const tx = db.transaction([KV_STORE, ...COLLECTIONS], 'readwrite');
+    keys.forEach((key) => {
+      const value = localRead(key);
+      if (value === undefined) return;
+      if (COLLECTIONS.includes(key)) {
+        if (!Array.isArray(value)) return;
+        value.filter((r) => r && typeof r === 'object').forEach((r, i) => {
+          tx.objectStore(key).put(r.id ? r : { ...r, id: `legacy_${Date.now()}_${i}` });
+        });
+      } else {
+        tx.objectStore(KV_STORE).put(value, key);
+      }
+    });
+    tx.objectStore(KV_STORE).put(true, MIGRATED_KEY);
+    await done(tx);
+
+    keys.forEach((key) => localStorage.removeItem(key));
+  }
+
+  /**
+   * Open the database and move over any localStorage data. Every other
+   * method waits for this, so it only needs to be started once, early.
+   * @returns {Promise<void>}
+   */
+  function init() {
+    if (ready) return ready;
+    ready = (async () => {
+      if (typeof indexedDB === 'undefined') return;
+      try {
+        db = await openDb();
+        await moveFromLocalStorage();
+      } catch (e) {
+        console.warn('Storage: IndexedDB unavailable, using localStorage', e);
+        db = null;
+      }
+      listenToOtherTabs();
+      // Ask the browser not to evict our data under storage pressure.
+      if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+    })();
+    return ready;
+  }
+
+  // ── Key-value ───────────────────────────────────────────────────────────────
+
+  /**
+   * Retrieve a value.
    * @param {string} key
-   * @param {*} defaultValue - Returned when key is absent or data is corrupt.
-   * @returns {*}
+   * @param {*} defaultValue - Returned when the key is absent or unreadable.
+   * @returns {Promise<*>}
    */
-  function get(key, defaultValue = null) {
+  async function get(key, defaultValue = null) {
+    await init();
+    if (!db) {
+      const value = localRead(key);
+      return value === undefined ? defaultValue : value;
+    }
     try {
-      const raw = localStorage.getItem(key);
-      if (raw === null) return defaultValue;
-      return JSON.parse(raw);
+      const value = await request(db.transaction(KV_STORE).objectStore(KV_STORE).get(key));
+      return value === undefined ? defaultValue : value;
     } catch (e) {
-      console.warn(`Storage.get: failed to parse key "${key}"`, e);
+      console.warn(`Storage.get: failed to read key "${key}"`, e);
       return defaultValue;
     }
   }
 
   /**
-   * Persist a value to LocalStorage as JSON.
+   * Persist a value. Failures are reported to the user, not thrown.
    * @param {string} key
    * @param {*} value
+   * @returns {Promise<boolean>} Whether the write succeeded.
    */
-  function set(key, value) {
+  async function set(key, value) {
+    await init();
     try {
-      localStorage.setItem(key, JSON.stringify(value));
+      if (db) {
+        const tx = db.transaction(KV_STORE, 'readwrite');
+        tx.objectStore(KV_STORE).put(value, key);
+        await done(tx);
+      } else {
+        localWrite(key, value);
+      }
+      return true;
     } catch (e) {
-      console.error(`Storage.set: failed to save key "${key}"`, e);
+      reportWriteError(key, e);
+      return false;
     }
   }
 
   /**
-   * Remove a key from LocalStorage.
+   * Remove a key.
    * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async function remove(key) {
+    await init();
+    if (!db) {
+      localStorage.removeItem(key);
+      return;
+    }
+    const tx = db.transaction(KV_STORE, 'readwrite');
+    tx.objectStore(KV_STORE).delete(key);
+    await done(tx).catch((e) => console.warn(`Storage.remove: failed for key "${key}"`, e));
+  }
+
+  // ── Record collections ──────────────────────────────────────────────────────
+
+  /**
+   * Read every record of a collection (in no particular order).
+   * @param {string} name - One of COLLECTIONS.
+   * @returns {Promise<Array<{id:string}>>}
+   */
+  async function getRecords(name) {
+    await init();
+    const records = db
+      ? await request(db.transaction(name).objectStore(name).getAll())
+      : localRead(name) || [];
+    written.set(name, new Map(records.map((r) => [r.id, JSON.stringify(r)])));
+    return records;
+  }
+
+  /**
+   * Save a collection, writing only the records that were added, changed or
+   * removed since the last read or save. Changed records are stamped with
+   * `updatedAt` (in place) and announced to other tabs.
+   * @param {string} name - One of COLLECTIONS.
+   * @param {Array<{id:string}>} list - The full current list.
+   * @param {object} [stamp] - Extra fields set on every changed record (e.g. `updatedBy`).
+   * @returns {Promise<?{puts:string[], deletes:string[]}>} The ids written, or
+   *   null if the write failed.
+   */
+  async function saveRecords(name, list, stamp = {}) {
+    const now = Date.now();
+    const previous = written.get(name) || new Map();
+    const puts = list.filter((r) => previous.get(r.id) !== JSON.stringify(r));
+    puts.forEach((r) => Object.assign(r, stamp, { updatedAt: now }));
+    const current = new Map(list.map((r) => [r.id, JSON.stringify(r)]));
+    const deletes = [...previous.keys()].filter((id) => !current.has(id));
+    written.set(name, current);
+    const result = { puts: puts.map((r) => r.id), deletes };
+    if (puts.length === 0 && deletes.length === 0) return result;
+
+    await init();
+    try {
+      if (db) {
+        const tx = db.transaction(name, 'readwrite');
+        const store = tx.objectStore(name);
+        puts.forEach((r) => store.put(JSON.parse(current.get(r.id))));
+        deletes.forEach((id) => store.delete(id));
+        await done(tx);
+        if (channel) {
+          channel.postMessage({ name, puts: puts.map((r) => JSON.parse(current.get(r.id))), deletes, at: now });
+        }
+      } else {
+        localWrite(name, list);
+      }
+      return result;
+    } catch (e) {
+      // Forget what this write claimed so the next save retries it.
+      const latest = written.get(name);
+      puts.forEach((r) => {
+        if (previous.has(r.id)) latest.set(r.id, previous.get(r.id));
+        else latest.delete(r.id);
+      });
+      deletes.forEach((id) => latest.set(id, previous.get(id)));
+      reportWriteError(name, e);
+      return null;
+    }
+  }
+
+  // ── Other tabs ──────────────────────────────────────────────────────────────
+
+  /**
+   * Register a callback for record writes made by another tab.
+   * @param {string} name - One of COLLECTIONS.
+   * @param {function({puts:Array<{id:string}>, deletes:string[], at:number})} fn
+   *   Typically merges the change with `merge()` and re-renders.
+   */
+  function onRemoteChange(name, fn) {
+    if (!remoteListeners.has(name)) remoteListeners.set(name, []);
+    remoteListeners.get(name).push(fn);
+  }
+
+  /** Remember what the other tab wrote (it's in storage already), then tell listeners. */
+  function receive(name, change) {
+    if (!COLLECTIONS.includes(name)) return;
+    const known = written.get(name) || new Map();
+    change.puts.forEach((r) => known.set(r.id, JSON.stringify(r)));
+    change.deletes.forEach((id) => known.delete(id));
+    written.set(name, known);
+    (remoteListeners.get(name) || []).forEach((fn) => fn(change));
+  }
+
+  function listenToOtherTabs() {
+    if (db) {
+      if (typeof BroadcastChannel === 'undefined') return;
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = (e) => receive(e.data.name, e.data);
+      return;
+    }
+    // On the fallback, the browser fires `storage` in every other tab.
+    window.addEventListener('storage', (e) => {
+      if (!COLLECTIONS.includes(e.key)) return;
+      let list;
+      try {
+        list = JSON.parse(e.newValue) || [];
+      } catch (err) {
+        return;
+      }
+      const known = written.get(e.key) || new Map();
+      const ids = new Set(list.map((r) => r.id));
+      receive(e.key, {
+        puts: list.filter((r) => known.get(r.id) !== JSON.stringify(r)),
+        deletes: [...known.keys()].filter((id) => !ids.has(id)),
+        at: Date.now(),
+      });
+    });
+  }
+
+  /**
+   * Write records that came from elsewhere (e.g. a sync server) exactly as
+   * they are — no `updatedAt` stamp — and hand them to this tab's and other
+   * tabs' listeners as if another tab had written them.
+   * @param {string} name - One of COLLECTIONS.
+   * @param {{puts:Array<{id:string}>, deletes:string[], at:number}} change
+   * @returns {Promise<void>}
+   */
+  async function applyRemote(name, change) {
+    await init();
+    try {
+      if (db) {
+        const tx = db.transaction(name, 'readwrite');
+        const store = tx.objectStore(name);
+        change.puts.forEach((r) => store.put(r));
+        change.deletes.forEach((id) => store.delete(id));
+        await done(tx);
+        if (channel) channel.postMessage({ name, ...change });
+      } else {
+        const ids = new Set([...change.puts.map((r) => r.id), ...change.deletes]);
+        localWrite(name, [...change.puts, ...(localRead(name) || []).filter((r) => !ids.has(r.id))]);
+      }
+    } catch (e) {
+      reportWriteError(name, e);
+      return;
+    }
+    receive(name, change);
+  }
+
+  /**
+   * Merge a change from another tab (or the sync server) into a list. The copy with the later
+   * `updatedAt` wins, and a record edited here after the other tab deleted
+   * it is kept.
+   * @param {Array<{id:string, updatedAt?:number}>} list
+   * @param {{puts:Array<{id:string, updatedAt?:number}>, deletes:string[], at:number}} change
+   * @returns {Array<{id:string}>} `list` itself if nothing changed, else a new list.
    */
-  function remove(key) {
-    localStorage.removeItem(key);
+  function merge(list, change) {
+    const byId = new Map(list.map((r) => [r.id, r]));
+    let changed = false;
+    change.puts.forEach((remote) => {
+      const local = byId.get(remote.id);
+      if (local && (local.updatedAt || 0) > (remote.updatedAt || 0)) return;
+      if (local && JSON.stringify(local) === JSON.stringify(remote)) return;
+      byId.set(remote.id, remote);
+      changed = true;
+    });
+    change.deletes.forEach((id) => {
+      const local = byId.get(id);
+      if (!local || (local.updatedAt || 0) > change.at) return;
+      byId.delete(id);
+      changed = true;
+    });
+    if (!changed) return list;
+
+    const known = new Set(list.map((r) => r.id));
+    const added = change.puts.filter((r) => !known.has(r.id) && byId.get(r.id) === r);
+    return [...added, ...list.filter((r) => byId.has(r.id)).map((r) => byId.get(r.id))];
+  }
+
+  // ── Schema migrations ───────────────────────────────────────────────────────
+
+  /**
+   * Load a collection, bringing it up to date first. The schema version is
+   * the number of migrations applied, so migration `i` upgrades version `i`
+   * to `i + 1`; new migrations must only ever be appended.
+   *
+   * Before migrating, the stored records are copied to `<name>_backup_v<version>`.
+   * If a migration throws, the data is kept as of the last successful step
+   * (and that step recorded), so the failing one is retried on the next load.
+   *
+   * @param {string} name - One of COLLECTIONS.
+   * @param {Array<function(Array): Array>} [migrations] - Oldest first; each returns the upgraded list.
+   * @param {function({puts:string[], deletes:string[]})} [onMigrated] - Told which
+   *   records the migrations rewrote or dropped, e.g. to queue them for sync.
+   * @returns {Promise<Array<{id:string}>>}
+   */
+  async function load(name, migrations = [], onMigrated = null) {
+    const records = await getRecords(name);
+    const versions = await get(VERSIONS_KEY, {});
+    const version = versions[name] || 0;
+
+    if (records.length === 0) {
+      if (version !== migrations.length) await set(VERSIONS_KEY, { ...versions, [name]: migrations.length });
+      return records;
+    }
+    if (version >= migrations.length) return records;
+
+    await set(`${name}_backup_v${version}`, records);
+    let data = records;
+    let reached = version;
+    try {
+      for (; reached < migrations.length; reached++) {
+        data = migrations[reached](data);
+      }
+    } catch (e) {
+      console.error(`Storage.load: migration ${reached + 1} of "${name}" failed`, e);
+      showToast(`Couldn't upgrade saved data — a backup was kept in "${name}_backup_v${version}"`, 'error');
+    }
+    const change = await saveRecords(name, data);
+    if (change && onMigrated) onMigrated(change);
+    await set(VERSIONS_KEY, { ...versions, [name]: reached });
+    return data;
   }
 
-  return { get, set, remove };
+  return { init, get, set, remove, getRecords, saveRecords, load, onRemoteChange, applyRemote, merge };
 })();
@@ -0,0 +1,322 @@
+/**
+ * sync.js — Optional sync of todos and links with a self-hosted REST server
+ * Todos and Links load and save through this module. Every local write is
+ * queued (persistently, so it survives going offline or closing the app)
+ * and pushed to the server; changes from other devices are pulled and
+ * merged. Conflicts are detected by per-record revision numbers issued by
+ * the server and settled by the record's `updatedAt` stamp.
+ *
+ * Server contract (all JSON; `<collection>` is `todos`, `links`, `lists` or `collections`):
+ *
+ *   GET  <endpoint>/<collection>?since=<cursor>
+ *     → { "records": [{ "id", "rev", "deleted", "record" }], "cursor": "<opaque>" }
+ *     Every record changed after `cursor` (all records when it is omitted).
+ *     `record` is the full todo/link object and may be null when deleted.
+ *
+ *   POST <endpoint>/<collection>
+ *     { "changes": [{ "id", "baseRev", "deleted", "record" }] }
+ *     → { "results": [{ "id", "status": "ok", "rev" }
+ *                   | { "id", "status": "conflict", "rev", "deleted", "record" }] }
+ *     A change applies only if `baseRev` equals the server's current revision
+ *     of that id (0 for a new id); the server then bumps the revision.
+ *     Otherwise it answers "conflict" with its current copy.
+ *
+ * An optional token is sent as `Authorization: Bearer <token>`, and
+ * identifies the member. Lists with `"shared": true`, and todos whose
+ * `listId` is such a list, are returned to every member of the server;
+ * everything else only to the member who created it. Each todo records
+ * who last changed it in `updatedBy` (the name set in Settings → Sync).
+ */
+
+const Sync = (() => {
+  const ENDPOINT_KEY = 'vt_sync_url';
+  const TOKEN_KEY = 'vt_sync_token';
+  const USER_NAME_KEY = 'vt_user_name';
+  /** Pending local changes: { [storageKey]: { [id]: deleted } }. */
+  const QUEUE_KEY = 'vt_sync_queue';
+  /** Server bookkeeping: { endpoint, collections: { [storageKey]: { cursor, revs: { [id]: rev } } } }. */
+  const STATE_KEY = 'vt_sync_state';
+
+  /** Storage keys that sync, and their collection names on the server. */
+  const COLLECTIONS = { vt_todos: 'todos', vt_links: 'links', vt_lists: 'lists', vt_collections: 'collections' };
+
+  const INTERVAL_MS = 60 * 1000;
+  const LOCK_NAME = 'voicedo-sync';
+
+  let endpoint = '';
+  let token = '';
+  let userName = '';
+  let timer = null;
+  let running = false;
+  /** Set when a sync is requested while one is running. */
+  let again = false;
+
+  /** The latest list handed to `save()` (or returned by `load()`), per storage key. */
+  const lists = new Map();
+  /** The migrations each collection was loaded with, to bring pulled records up to date. */
+  const migrationsFor = new Map();
+  /** Changes saved before `configure()` read the endpoint, queued once it has; null after. */
+  let early = [];
+
+  // ── Helpers ─────────────────────────────────────────────────────────────────
+
+  let chain = Promise.resolve();
+
+  /**
+   * Run `fn` while holding the sync lock, so that tabs don't push the same
+   * queue at once. Falls back to a per-tab queue without the Web Locks API.
+   */
+  function withLock(fn) {
+    if (navigator.locks) return navigator.locks.request(LOCK_NAME, fn);
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  function setStatus(text, state = 'idle') {
+    const el = document.getElementById('sync-status');
+    if (!el) return;
+    el.textContent = text;
+    el.dataset.state = state;
+  }
+
+  async function api(path, options = {}) {
+    const headers = { Accept: 'application/json', ...(options.body ? { 'Content-Type': 'application/json' } : {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${endpoint.replace(/\/+$/, '')}/${path}`, { ...options, headers });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  }
+
+  async function readState() {
+    const state = await Storage.get(STATE_KEY, null);
+    return state && state.endpoint === endpoint ? state : { endpoint, collections: {} };
+  }
+
+  function collectionState(state, key) {
+    if (!state.collections[key]) state.collections[key] = { cursor: null, revs: {} };
+    return state.collections[key];
+  }
+
+  // ── Queue ───────────────────────────────────────────────────────────────────
+
+  /**
+   * Remember that records changed locally.
+   * @param {string} key - Storage key.
+   * @param {{puts:string[], deletes:string[]}} change
+   */
+  function enqueue(key, change) {
+    if (early) {
+      early.push({ key, change });
+      return Promise.resolve();
+    }
+    if (!endpoint || (change.puts.length === 0 && change.deletes.length === 0)) return Promise.resolve();
+    return withLock(async () => {
+      const queue = await Storage.get(QUEUE_KEY, {});
+      const pending = queue[key] || {};
+      change.puts.forEach((id) => { pending[id] = false; });
+      change.deletes.forEach((id) => { pending[id] = true; });
+      queue[key] = pending;
+      await Storage.set(QUEUE_KEY, queue);
+    }).then(scheduleSoon);
+  }
+
+  let soon = null;
+  /** Push shortly after a burst of edits rather than on every keystroke. */
+  function scheduleSoon() {
+    clearTimeout(soon);
+    soon = setTimeout(syncNow, 1500);
+  }
+
+  /** The number of local changes not yet on the server. */
+  async function pendingCount() {
+    const queue = await Storage.get(QUEUE_KEY, {});
+    return Object.values(queue).reduce((n, pending) => n + Object.keys(pending).length, 0);
+  }
+
+  // ── Push / pull ─────────────────────────────────────────────────────────────
+
+  /** Run records from the server through the same migrations as a local load. */
+  function upgrade(key, records) {
+    return (migrationsFor.get(key) || []).reduce((acc, migrate) => migrate(acc), records);
+  }
+
+  /** Take the server's copy of a record. */
+  async function accept(key, item) {
+    await Storage.applyRemote(key, {
+      puts: item.deleted || !item.record ? [] : upgrade(key, [item.record]),
+      deletes: item.deleted ? [item.id] : [],
+      at: Date.now(),
+    });
+  }
+
+  async function push(key, queue, state) {
+    const pending = queue[key] || {};
+    const ids = Object.keys(pending);
+    if (ids.length === 0) return;
+    const revs = collectionState(state, key).revs;
+    const local = new Map((lists.get(key) || []).map((r) => [r.id, r]));
+
+    const changes = ids
+      .filter((id) => pending[id] || local.has(id))
+      .map((id) => ({
+        id,
+        baseRev: revs[id] || 0,
+        deleted: pending[id],
+        record: pending[id] ? null : local.get(id),
+      }));
+    const { results } = await api(COLLECTIONS[key], { method: 'POST', body: JSON.stringify({ changes }) });
+
+    ids.forEach((id) => delete pending[id]);
+    for (const result of results) {
+      revs[result.id] = result.rev;
+      if (result.status !== 'conflict') continue;
+      const mine = local.get(result.id);
+      const theirsNewer = result.deleted || !mine
+        || (result.record && (result.record.updatedAt || 0) >= (mine.updatedAt || 0));
+      if (theirsNewer) {
+        await accept(key, result);
+      } else {
+        // Ours is newer: push again on top of the server's revision.
+        pending[result.id] = false;
+      }
+    }
+    queue[key] = pending;
+  }
+
+  async function pull(key, queue, state) {
+    const col = collectionState(state, key);
+    const query = col.cursor ? `?since=${encodeURIComponent(col.cursor)}` : '';
+    const { records, cursor } = await api(`${COLLECTIONS[key]}${query}`);
+    const pending = queue[key] || {};
+
+    // Records with local changes still queued are settled by the next push.
+    const incoming = records.filter((item) => !(item.id in pending));
+    incoming.forEach((item) => { col.revs[item.id] = item.rev; });
+    if (incoming.length) {
+      await Storage.applyRemote(key, {
+        puts: upgrade(key, incoming.filter((item) => !item.deleted && item.record).map((item) => item.record)),
+        deletes: incoming.filter((item) => item.deleted).map((item) => item.id),
+        at: Date.now(),
+      });
+    }
+    col.cursor = cursor;
+  }
+
+  /** Push queued changes, then pull the server's, for every collection. */
+  async function syncNow() {
+    if (!endpoint) return;
+    if (running) {
+      again = true;
+      return;
+    }
+    if (!navigator.onLine) {
+      setStatus(`Offline — ${await pendingCount()} change(s) waiting`, 'offline');
+      return;
+    }
+    running = true;
+    setStatus('Syncing…', 'busy');
+    try {
+      await withLock(async () => {
+        const queue = await Storage.get(QUEUE_KEY, {});
+        const state = await readState();
+        for (const key of Object.keys(COLLECTIONS)) {
+          await push(key, queue, state);
+          await pull(key, queue, state);
+        }
+        await Storage.set(QUEUE_KEY, queue);
+        await Storage.set(STATE_KEY, state);
+      });
+      setStatus(`Synced at ${new Date().toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`, 'ok');
+    } catch (e) {
+      console.warn('Sync failed', e);
+      setStatus(`Sync failed (${e.message}) — ${await pendingCount()} change(s) waiting`, 'error');
+    } finally {
+      running = false;
+    }
+    if (again) {
+      again = false;
+      syncNow();
+    }
+  }
+
+  // ── Storage layer for Todos / Links ─────────────────────────────────────────
+
+  /**
+   * Load a collection (see Storage.load), queueing any records the migrations
+   * rewrote. The migrations are also applied to records pulled later.
+   * @param {string} key
+   * @param {Array<function>} migrations
+   * @returns {Promise<Array<{id:string}>>}
+   */
+  async function load(key, migrations) {
+    migrationsFor.set(key, migrations);
+    let migrated = null;
+    const list = await Storage.load(key, migrations, (change) => { migrated = change; });
+    if (migrated) await enqueue(key, migrated);
+    lists.set(key, list);
+    return list;
+  }
+
+  /**
+   * Save a collection locally and queue the changed records for the server.
+   * @param {string} key
+   * @param {Array<{id:string}>} list
+   * @param {object} [stamp] - Extra fields for every changed record (see Storage.saveRecords).
+   * @returns {Promise<void>}
+   */
+  async function save(key, list, stamp) {
+    lists.set(key, list);
+    const change = await Storage.saveRecords(key, list, stamp);
+    if (change) await enqueue(key, change);
+  }
+
+  // ── Setup ───────────────────────────────────────────────────────────────────
+
+  /** Pick up the endpoint; a new endpoint starts from scratch and uploads everything. */
+  async function configure() {
+    endpoint = (await Storage.get(ENDPOINT_KEY, '')).trim();
+    token = (await Storage.get(TOKEN_KEY, '')).trim();
+    const held = early || [];
+    early = null;
+    clearInterval(timer);
+    timer = null;
+    if (!endpoint) {
+      setStatus('Sync is off', 'idle');
+      return;
+    }
+
+    const saved = await Storage.get(STATE_KEY, null);
+    if (!saved || saved.endpoint !== endpoint) {
+      await Storage.set(STATE_KEY, { endpoint, collections: {} });
+      await Storage.set(QUEUE_KEY, {});
+      for (const key of Object.keys(COLLECTIONS)) {
+        await enqueue(key, { puts: (lists.get(key) || []).map((r) => r.id), deletes: [] });
+      }
+    } else {
+      for (const { key, change } of held) await enqueue(key, change);
+    }
+    timer = setInterval(syncNow, INTERVAL_MS);
+    syncNow();
+  }
+
+  /** @returns {string|null} The name this device signs its changes with, if set. */
+  function user() {
+    return userName || null;
+  }
+
+  async function init() {
+    userName = (await Storage.get(USER_NAME_KEY, '')).trim();
+    window.addEventListener('online', syncNow);
+    window.addEventListener('offline', () => syncNow());
+    document.addEventListener('settingchange', (e) => {
+      if (e.detail.key === ENDPOINT_KEY || e.detail.key === TOKEN_KEY) configure();
+      if (e.detail.key === USER_NAME_KEY) userName = String(e.detail.value).trim();
+    });
+    const btn = document.getElementById('sync-now');
+    if (btn) btn.addEventListener('click', syncNow);
+    await configure();
+  }
+
+  return { init, load, save, syncNow, user };
+})();
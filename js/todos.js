@@ -1,11 +1,16 @@
 /**
  * todos.js — Todo list logic
  * Handles creation, editing, completion, deletion, and rendering of tasks.
- * Extended with: deadlines, priorities, subtasks, categories, filter/sort, and progress summary.
+ * Extended with: deadlines (with optional due times and reminders), priorities, subtasks,
+ * categories, repeat rules, filter/sort, and progress summary.
  */
 
 const Todos = (() => {
   const STORAGE_KEY = 'vt_todos';
+  const CONTINUOUS_KEY = 'vt_continuous';
+  const FILTERS_KEY = 'vt_todo_filters';
+  /** Time of day that reminders for date-only deadlines count back from. */
+  const REMINDER_ANCHOR_TIME = '09:00';
 
   /** Generate a unique ID with a given prefix. */
   function genId(prefix) {
@@ -20,6 +25,24 @@ const Todos = (() => {
     return new Date(dateStr + 'T00:00:00');
   }
 
+  /**
+   * The moment a todo is due: its deadline at `deadlineTime` if one is set,
+   * otherwise at the end of the deadline day.
+   * @returns {Date|null}
+   */
+  function dueDate(todo) {
+    if (!todo.deadline) return null;
+    if (todo.deadlineTime) return new Date(`${todo.deadline}T${todo.deadlineTime}:00`);
+    return new Date(`${todo.deadline}T23:59:59`);
+  }
+
+  /** Format a Date as a local YYYY-MM-DD deadline string. */
+  function toDateStr(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
   // ── Internal State ──────────────────────────────────────────────────────────
 
   /**
@@ -28,10 +51,19 @@ const Todos = (() => {
    *   text: string,
    *   completed: boolean,
    *   createdAt: number,
-   *   deadline: number|null,
+   *   deadline: string|null,      // YYYY-MM-DD
+   *   deadlineTime: string|null,  // HH:MM, local time
+   *   reminders: number[],        // minutes before the due time
    *   priority: 'low'|'medium'|'high',
    *   subtasks: Array<{id:string, text:string, completed:boolean}>,
-   *   categories: string[]
+   *   categories: string[],
+   *   repeat: null|{
+   *     type: 'daily'|'weekdays'|'weekly'|'monthly'|'interval',
+   *     days?: number[],   // weekly: 0 (Sun) – 6 (Sat)
+   *     date?: number,     // monthly: day of month, 1–31
+   *     every?: number     // interval: number of days
+   *   },
+   *   nextId: string|null  // id of the occurrence generated when this one was completed
    * }>}
    */
   let todos = [];
@@ -40,25 +72,85 @@ const Todos = (() => {
   let currentFilter = 'all';
   /** Current sort: 'newest' | 'oldest' | 'deadline' | 'priority' */
   let currentSort = 'newest';
+  /**
+   * Extra filters, combined with the status filter.
+   * @type {{categories:string[], priority:''|'low'|'medium'|'high', due:''|'today'|'week'|'none', query:string}}
+   */
+  let filters = { categories: [], priority: '', due: '', query: '' };
   /** Set of todo IDs whose subtask areas are currently expanded */
   const openSubtasks = new Set();
 
   // ── Persistence ─────────────────────────────────────────────────────────────
 
-  function load() {
-    const raw = Storage.get(STORAGE_KEY, []);
-    // Migrate old todos that lack new fields
-    todos = raw.map((t) => ({
-      deadline: null,
-      priority: 'medium',
-      subtasks: [],
-      categories: [],
-      ...t,
-    }));
+  /**
+   * Schema migrations for saved todos, oldest first (see Storage.load).
+   * Never change or reorder one that has shipped — append a new one.
+   */
+  const MIGRATIONS = [
+    // 1: deadlines, priorities, subtasks and categories
+    (list) => list.map((t) => ({ deadline: null, priority: 'medium', subtasks: [], categories: [], ...t })),
+    // 2: repeat rules
+    (list) => list.map((t) => ({ repeat: null, nextId: null, ...t })),
+    // 3: due times and reminders
+    (list) => list.map((t) => ({ deadlineTime: null, reminders: [], ...t })),
+    // 4: named lists, and who last changed a todo
+    (list) => list.map((t) => ({ listId: 'list_default', updatedBy: null, ...t })),
+    // 5: attached links
+    (list) => list.map((t) => ({ linkIds: [], ...t })),
+  ];
+
+  /** Bring todos from any schema version up to date (used for imports). */
+  function upgrade(list) {
+    return MIGRATIONS.reduce((acc, migrate) => migrate(acc), list);
+  }
+
+  async function load() {
+    todos = await Sync.load(STORAGE_KEY, MIGRATIONS);
   }
 
   function save() {
-    Storage.set(STORAGE_KEY, todos);
+    Sync.save(STORAGE_KEY, todos, { updatedBy: Sync.user() });
+    scheduleReminders();
+  }
+
+  /** The todo list as seen by UndoHistory. */
+  const historyStore = {
+    get: () => todos,
+    set: (list) => {
+      todos = list;
+      save();
+      render();
+    },
+  };
+
+  /**
+   * Apply a change to the todo list, save, re-render and record it for undo.
+   * @param {string} label
+   * @param {function(): (boolean|void)} mutate - Return false to cancel.
+   */
+  function commit(label, mutate) {
+    return UndoHistory.track(label, historyStore, mutate);
+  }
+
+  /** Hand every upcoming reminder of an open todo to the Reminders module. */
+  function scheduleReminders() {
+    const entries = [];
+    todos.forEach((todo) => {
+      if (todo.completed || !todo.deadline || !todo.reminders.length) return;
+      const due = dueDate(todo);
+      // Date-only deadlines are reminded relative to the morning of the due day.
+      const anchor = todo.deadlineTime ? due : new Date(`${todo.deadline}T${REMINDER_ANCHOR_TIME}:00`);
+      todo.reminders.forEach((minutes) => {
+        const at = anchor.getTime() - minutes * 60 * 1000;
+        entries.push({
+          tag: `vt-reminder:${todo.id}:${minutes}:${at}`,
+          at,
+          title: todo.text,
+          body: `${minutes === 0 ? 'Due now' : 'Due'} · ${formatDeadline(todo.deadline, todo.deadlineTime)}`,
+        });
+      });
+    });
+    Reminders.schedule(entries);
   }
 
   // ── Helpers ──────────────────────────────────────────────────────────────────
@@ -66,14 +158,22 @@ const Todos = (() => {
   /** Returns true if this todo is overdue (past deadline, not completed). */
   function isOverdue(todo) {
     if (!todo.deadline || todo.completed) return false;
+    if (todo.deadlineTime) return dueDate(todo) < new Date();
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     return parseDeadline(todo.deadline) < today;
   }
 
-  /** Returns true if deadline is today or tomorrow (within 1 day). */
+  /**
+   * Returns true if deadline is today or tomorrow (within 1 day), or — for
+   * todos with a due time — within the next 24 hours.
+   */
   function isWarning(todo) {
     if (!todo.deadline || todo.completed) return false;
+    if (todo.deadlineTime) {
+      const msLeft = dueDate(todo) - Date.now();
+      return msLeft >= 0 && msLeft <= 24 * 60 * 60 * 1000;
+    }
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const tomorrow = new Date(today);
@@ -82,6 +182,68 @@ const Todos = (() => {
     return due >= today && due <= tomorrow;
   }
 
+  // ── Repeat rules ───────────────────────────────────────────────────────────
+
+  const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  /** One step of a repeat rule from a given date. */
+  function stepRepeat(repeat, from) {
+    const d = new Date(from);
+    switch (repeat.type) {
+      case 'daily':
+        d.setDate(d.getDate() + 1);
+        return d;
+      case 'weekdays':
+        do { d.setDate(d.getDate() + 1); } while (d.getDay() === 0 || d.getDay() === 6);
+        return d;
+      case 'weekly': {
+        const days = repeat.days && repeat.days.length ? repeat.days : [from.getDay()];
+        do { d.setDate(d.getDate() + 1); } while (!days.includes(d.getDay()));
+        return d;
+      }
+      case 'monthly': {
+        // Clamp to the last day of short months ("the 31st" → Feb 28th).
+        const want = repeat.date || from.getDate();
+        const inMonth = (y, m) => new Date(y, m, Math.min(want, new Date(y, m + 1, 0).getDate()));
+        const candidate = inMonth(from.getFullYear(), from.getMonth());
+        return candidate > from ? candidate : inMonth(from.getFullYear(), from.getMonth() + 1);
+      }
+      case 'interval':
+      default:
+        d.setDate(d.getDate() + Math.max(1, repeat.every || 1));
+        return d;
+    }
+  }
+
+  /**
+   * The deadline of the occurrence after this one: one step on from the
+   * current deadline (or today if there is none), skipping any dates that
+   * are already in the past so a late chore doesn't spawn an overdue one.
+   * @returns {string} YYYY-MM-DD
+   */
+  function nextDeadline(todo) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let next = stepRepeat(todo.repeat, todo.deadline ? parseDeadline(todo.deadline) : today);
+    while (next < today) next = stepRepeat(todo.repeat, next);
+    return toDateStr(next);
+  }
+
+  /** Human-readable summary of a repeat rule, e.g. "Weekly · Mon, Thu". */
+  function describeRepeat(repeat) {
+    switch (repeat.type) {
+      case 'daily': return 'Daily';
+      case 'weekdays': return 'Weekdays';
+      case 'weekly':
+        return repeat.days && repeat.days.length
+          ? `Weekly · ${repeat.days.map((d) => WEEKDAY_SHORT[d]).join(', ')}`
+          : 'Weekly';
+      case 'monthly': return repeat.date ? `Monthly · day ${repeat.date}` : 'Monthly';
+      case 'interval': return `Every ${repeat.every || 1} day${repeat.every > 1 ? 's' : ''}`;
+      default: return '';
+    }
+  }
+
   /** Priority numeric value for sorting (high=3, medium=2, low=1). */
   function priorityValue(p) {
     return p === 'high' ? 3 : p === 'low' ? 1 : 2;
@@ -92,7 +254,8 @@ const Todos = (() => {
   /**
    * Add a new todo item.
    * @param {string} text
-   * @param {{deadline?:string, priority?:string, categories?:string[]}} opts
+   * @param {{deadline?:string, deadlineTime?:string, reminders?:number[], priority?:string,
+   *   categories?:string[], repeat?:object, linkIds?:string[]}} opts
    */
   function add(text, opts = {}) {
     const trimmed = text.trim();
@@ -104,13 +267,19 @@ const Todos = (() => {
       completed: false,
       createdAt: Date.now(),
       deadline: opts.deadline || null,
+      deadlineTime: (opts.deadline && opts.deadlineTime) || null,
+      reminders: opts.deadline && Array.isArray(opts.reminders) ? opts.reminders : [],
       priority: opts.priority || 'medium',
       subtasks: [],
       categories: Array.isArray(opts.categories) ? opts.categories : [],
+      repeat: opts.repeat || null,
+      nextId: null,
+      listId: Lists.current(),
+      linkIds: Array.isArray(opts.linkIds) ? opts.linkIds : [],
     };
-    todos.unshift(todo);
-    save();
-    render();
+    commit(`add "${trimmed}"`, () => {
+      todos.unshift(todo);
+    });
   }
 
   /**
@@ -120,9 +289,39 @@ const Todos = (() => {
   function toggle(id) {
     const todo = todos.find((t) => t.id === id);
     if (!todo) return;
-    todo.completed = !todo.completed;
-    save();
-    render();
+    commit(`${todo.completed ? 'reopen' : 'complete'} "${todo.text}"`, () => {
+      todo.completed = !todo.completed;
+      if (todo.completed && todo.repeat && !todo.nextId) {
+        spawnNextOccurrence(todo);
+      }
+    });
+  }
+
+  /**
+   * Create the next occurrence of a repeating todo, with the next deadline
+   * and a fresh (unchecked) copy of its subtasks. Only one occurrence is
+   * generated per instance, so un-checking and re-checking doesn't duplicate it.
+   * @param {object} todo
+   */
+  function spawnNextOccurrence(todo) {
+    const next = {
+      id: genId('todo'),
+      text: todo.text,
+      completed: false,
+      createdAt: Date.now(),
+      deadline: nextDeadline(todo),
+      deadlineTime: todo.deadlineTime,
+      reminders: [...todo.reminders],
+      priority: todo.priority,
+      subtasks: todo.subtasks.map((s) => ({ id: genId('sub'), text: s.text, completed: false })),
+      categories: [...todo.categories],
+      repeat: { ...todo.repeat },
+      nextId: null,
+      listId: todo.listId,
+      linkIds: [...todo.linkIds],
+    };
+    todo.nextId = next.id;
+    todos.unshift(next);
   }
 
   /**
@@ -135,9 +334,9 @@ const Todos = (() => {
     if (!trimmed) return;
     const todo = todos.find((t) => t.id === id);
     if (!todo) return;
-    todo.text = trimmed;
-    save();
-    render();
+    commit(`edit "${todo.text}"`, () => {
+      todo.text = trimmed;
+    });
   }
 
   /**
@@ -145,9 +344,179 @@ const Todos = (() => {
    * @param {string} id
    */
   function remove(id) {
-    todos = todos.filter((t) => t.id !== id);
-    save();
-    render();
+    const todo = todos.find((t) => t.id === id);
+    if (!todo) return;
+    commit(`delete "${todo.text}"`, () => {
+      todos = todos.filter((t) => t.id !== id);
+    });
+  }
+
+  /**
+   * Move a todo to another list.
+   * @param {string} id
+   * @param {string} listId
+   */
+  function moveToList(id, listId) {
+    const todo = todos.find((t) => t.id === id);
+    const list = Lists.get(listId);
+    if (!todo || !list || todo.listId === listId) return;
+    commit(`move "${todo.text}" to ${list.name}`, () => {
+      todo.listId = listId;
+    });
+  }
+
+  /**
+   * Import todos from a backup file. Undoable as a single change.
+   * @param {object[]} incoming - Todo records; missing fields get defaults.
+   * @param {'merge'|'replace'} mode - 'merge' keeps the current todos and skips
+   *   incoming ones whose id is already present; 'replace' discards the current list.
+   * @returns {{added:number, skipped:number}}
+   */
+  function importTodos(incoming, mode = 'merge') {
+    const seen = new Set(mode === 'merge' ? todos.map((t) => t.id) : []);
+    const fresh = [];
+    upgrade(incoming).forEach((raw) => {
+      const todo = { completed: false, createdAt: Date.now(), ...raw };
+      if (!todo.id) todo.id = genId('todo');
+      if (!Lists.get(todo.listId)) todo.listId = Lists.current();
+      if (!todo.text || seen.has(todo.id)) return;
+      seen.add(todo.id);
+      fresh.push(todo);
+    });
+    const result = { added: fresh.length, skipped: incoming.length - fresh.length };
+    commit(`import ${fresh.length} task${fresh.length === 1 ? '' : 's'}`, () => {
+      if (mode === 'replace') todos = fresh;
+      else if (fresh.length) todos = [...fresh, ...todos];
+      else return false;
+    });
+    return result;
+  }
+
+  // ── List references ─────────────────────────────────────────────────────────
+
+  /** Delete every todo in a list (called when the list itself is deleted). */
+  function removeList(listId) {
+    commit('delete list tasks', () => {
+      const kept = todos.filter((t) => t.listId !== listId);
+      if (kept.length === todos.length) return false;
+      todos = kept;
+    });
+  }
+
+  /** Number of todos in a list. */
+  function countInList(listId) {
+    return todos.filter((t) => t.listId === listId).length;
+  }
+
+  // ── Link references ─────────────────────────────────────────────────────────
+  // Todos store the ids of attached links; a link that has since been deleted
+  // is simply not shown (and comes back if the deletion is undone).
+
+  function attachLink(todoId, linkId) {
+    const todo = todos.find((t) => t.id === todoId);
+    if (!todo || todo.linkIds.includes(linkId)) return;
+    commit(`attach link to "${todo.text}"`, () => {
+      todo.linkIds = [...todo.linkIds, linkId];
+    });
+  }
+
+  function detachLink(todoId, linkId) {
+    const todo = todos.find((t) => t.id === todoId);
+    if (!todo || !todo.linkIds.includes(linkId)) return;
+    commit(`detach link from "${todo.text}"`, () => {
+      todo.linkIds = todo.linkIds.filter((id) => id !== linkId);
+    });
+  }
+
+  /** Number of todos a link is attached to. */
+  function countLinkRefs(linkId) {
+    return todos.filter((t) => t.linkIds.includes(linkId)).length;
+  }
+
+  /**
+   * Point attachments at other links (when duplicates are merged).
+   * @param {Map<string, string>} replacements - Old link id → surviving link id.
+   */
+  function replaceLinkRefs(replacements) {
+    commit('update attached links', () => {
+      const affected = todos.filter((t) => t.linkIds.some((id) => replacements.has(id)));
+      if (affected.length === 0) return false;
+      affected.forEach((t) => {
+        t.linkIds = [...new Set(t.linkIds.map((id) => replacements.get(id) || id))];
+      });
+    });
+  }
+
+  /**
+   * Attach a saved link picked by URL or description, or save a new URL
+   * first. Undoable as one step.
+   * @returns {boolean} False if nothing matched.
+   */
+  function attachByText(todoId, text) {
+    const value = text.trim();
+    if (!value) return false;
+    const lower = value.toLowerCase();
+    const saved = Links.getAll().find((l) => l.url === value || l.description.toLowerCase() === lower)
+      || (/[.:/]/.test(value) && !/\s/.test(value) ? Links.findDuplicate(value) : null);
+    if (saved) {
+      attachLink(todoId, saved.id);
+      return true;
+    }
+    if (!/^(https?:\/\/)?[^\s/]+\.[^\s]+$/i.test(value)) return false;
+    UndoHistory.batch('attach new link', () => {
+      const id = Links.add(value);
+      if (id) attachLink(todoId, id);
+    });
+    return true;
+  }
+
+  /** Offer the saved links as suggestions for the attach inputs. */
+  function fillLinkOptions() {
+    const datalist = document.getElementById('link-options');
+    if (!datalist) return;
+    datalist.innerHTML = '';
+    Links.getAll().forEach((l) => {
+      const option = document.createElement('option');
+      option.value = l.url;
+      option.label = l.description;
+      datalist.appendChild(option);
+    });
+  }
+
+  // ── Category references ─────────────────────────────────────────────────────
+  // Todos store category names, so changes made in the Categories manager are
+  // applied to every todo here.
+
+  /**
+   * Rename a category on every todo (also used to merge one into another).
+   * @param {string} from
+   * @param {string} to
+   */
+  function renameCategory(from, to) {
+    commit(`rename category "${from}"`, () => {
+      todos.forEach((t) => {
+        if (!t.categories.includes(from)) return;
+        t.categories = [...new Set(t.categories.map((c) => (c === from ? to : c)))];
+      });
+    });
+    filters.categories = [...new Set(filters.categories.map((c) => (c === from ? to : c)))];
+    saveFilterState();
+  }
+
+  /** Remove a category from every todo. */
+  function removeCategory(name) {
+    commit(`remove category "${name}"`, () => {
+      todos.forEach((t) => {
+        if (t.categories.includes(name)) t.categories = t.categories.filter((c) => c !== name);
+      });
+    });
+    filters.categories = filters.categories.filter((c) => c !== name);
+    saveFilterState();
+  }
+
+  /** Number of todos tagged with a category. */
+  function countCategory(name) {
+    return todos.filter((t) => t.categories.includes(name)).length;
   }
 
   // ── Subtask CRUD ─────────────────────────────────────────────────────────────
@@ -157,13 +526,13 @@ const Todos = (() => {
     if (!trimmed) return;
     const todo = todos.find((t) => t.id === todoId);
     if (!todo) return;
-    todo.subtasks.push({
-      id: genId('sub'),
-      text: trimmed,
-      completed: false,
+    commit(`add subtask "${trimmed}"`, () => {
+      todo.subtasks.push({
+        id: genId('sub'),
+        text: trimmed,
+        completed: false,
+      });
     });
-    save();
-    render();
   }
 
   function toggleSubtask(todoId, subId) {
@@ -171,17 +540,19 @@ const Todos = (() => {
     if (!todo) return;
     const sub = todo.subtasks.find((s) => s.id === subId);
     if (!sub) return;
-    sub.completed = !sub.completed;
-    save();
-    render();
+    commit(`${sub.completed ? 'reopen' : 'complete'} subtask "${sub.text}"`, () => {
+      sub.completed = !sub.completed;
+    });
   }
 
   function removeSubtask(todoId, subId) {
     const todo = todos.find((t) => t.id === todoId);
     if (!todo) return;
-    todo.subtasks = todo.subtasks.filter((s) => s.id !== subId);
-    save();
-    render();
+    const sub = todo.subtasks.find((s) => s.id === subId);
+    if (!sub) return;
+    commit(`delete subtask "${sub.text}"`, () => {
+      todo.subtasks = todo.subtasks.filter((s) => s.id !== subId);
+    });
   }
 
   // ── Rendering ────────────────────────────────────────────────────────────────
@@ -203,10 +574,20 @@ const Todos = (() => {
     return new Date(ts).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
   }
 
-  /** Format a YYYY-MM-DD deadline string for display. */
-  function formatDeadline(dateStr) {
+  /** Format a YYYY-MM-DD deadline string (and optional HH:MM time) for display. */
+  function formatDeadline(dateStr, time) {
     if (!dateStr) return '';
-    return parseDeadline(dateStr).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    const date = parseDeadline(dateStr).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    if (!time) return date;
+    return `${date}, ${new Date(`${dateStr}T${time}:00`).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  /** Describe a reminder offset in minutes, e.g. 15 → "15 min before". */
+  function describeReminder(minutes) {
+    if (minutes === 0) return 'At due time';
+    if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes > 1440 ? 's' : ''} before`;
+    if (minutes % 60 === 0) return `${minutes / 60} hour${minutes > 60 ? 's' : ''} before`;
+    return `${minutes} min before`;
   }
 
   /** Escape HTML special characters to prevent XSS. */
@@ -237,17 +618,51 @@ const Todos = (() => {
       cls += ' deadline-warning';
       prefix = '⚠️ ';
     }
-    return `<span class="${cls}"><i class="fas fa-calendar-alt" aria-hidden="true"></i> ${prefix}Due: ${escHtml(formatDeadline(todo.deadline))}</span>`;
+    const bell = todo.reminders && todo.reminders.length
+      ? ` <i class="fas fa-bell reminder-icon" title="Reminders: ${escHtml(todo.reminders.map(describeReminder).join(', '))}" aria-label="Has reminders"></i>`
+      : '';
+    return `<span class="${cls}"><i class="fas fa-calendar-alt" aria-hidden="true"></i> ${prefix}Due: ${escHtml(formatDeadline(todo.deadline, todo.deadlineTime))}${bell}</span>`;
+  }
+
+  /** Build the repeat badge HTML (shown next to the deadline badge). */
+  function repeatBadgeHtml(todo) {
+    if (!todo.repeat) return '';
+    const label = describeRepeat(todo.repeat);
+    return `<span class="repeat-badge" title="Repeats: ${escHtml(label)}"><i class="fas fa-repeat" aria-hidden="true"></i> ${escHtml(label)}</span>`;
   }
 
-  /** Build category pills HTML. */
+  /** Build category pills HTML, coloured from the Categories store. */
   function categoryPillsHtml(categories) {
     if (!categories || categories.length === 0) return '';
     return categories
-      .map((c) => `<span class="task-cat-pill" data-cat="${escHtml(c)}">${escHtml(c)}</span>`)
+      .map((c) => `<span class="task-cat-pill" data-cat="${escHtml(c)}" style="--cat-color:${escHtml(Categories.colorOf(c))}">${escHtml(c)}</span>`)
       .join('');
   }
 
+  /** Rebuild the category toggles in the options panel, keeping the current selection. */
+  function renderCategoryPills() {
+    const container = document.getElementById('todo-categories');
+    if (!container) return;
+    const selected = new Set(
+      Array.from(container.querySelectorAll('.cat-pill.selected')).map((el) => el.dataset.cat)
+    );
+    container.innerHTML = '';
+    Categories.list().forEach((cat) => {
+      const pill = document.createElement('button');
+      pill.type = 'button';
+      pill.className = `cat-pill${selected.has(cat.name) ? ' selected' : ''}`;
+      pill.dataset.cat = cat.name;
+      pill.style.setProperty('--cat-color', cat.color);
+      pill.textContent = cat.name;
+      pill.setAttribute('aria-pressed', selected.has(cat.name) ? 'true' : 'false');
+      pill.addEventListener('click', () => {
+        pill.classList.toggle('selected');
+        pill.setAttribute('aria-pressed', pill.classList.contains('selected') ? 'true' : 'false');
+      });
+      container.appendChild(pill);
+    });
+  }
+
   /** Build subtask progress HTML (mini bar + count). */
   function subtaskProgressHtml(subtasks) {
     if (!subtasks || subtasks.length === 0) return '';
@@ -280,9 +695,27 @@ const Todos = (() => {
     li.dataset.id = todo.id;
 
     const catHtml = categoryPillsHtml(todo.categories);
+    const attached = todo.linkIds.map((id) => Links.get(id)).filter(Boolean);
+    const linksHtml = attached.length === 0 ? '' : `
+          <div class="todo-links">
+            ${attached.map((l) => `
+            <span class="link-chip">
+              <a class="link-chip-open" href="${escHtml(l.url)}" target="_blank" rel="noopener noreferrer" data-link-id="${escHtml(l.id)}" title="${escHtml(l.url)}"><i class="fas fa-link" aria-hidden="true"></i> ${escHtml(l.description)}</a>
+              <button type="button" class="link-chip-remove" data-link-id="${escHtml(l.id)}" aria-label="Detach link">&times;</button>
+            </span>`).join('')}
+          </div>`;
     const deadlineHtml = deadlineBadgeHtml(todo);
+    const repeatHtml = repeatBadgeHtml(todo);
     const priorityHtml = priorityBadgeHtml(todo.priority);
     const subProgressHtml = subtaskProgressHtml(todo.subtasks);
+    const list = Lists.get(todo.listId);
+    const editedBy = list && list.shared && todo.updatedBy ? ` · edited by ${escHtml(todo.updatedBy)}` : '';
+    const otherLists = Lists.all().filter((l) => l.id !== todo.listId);
+    const moveHtml = otherLists.length === 0 ? '' : `
+          <select class="todo-move" title="Move to list" aria-label="Move to list">
+            <option value="">Move to…</option>
+            ${otherLists.map((l) => `<option value="${escHtml(l.id)}">${escHtml(l.name)}</option>`).join('')}
+          </select>`;
 
     li.innerHTML = `
       <div class="todo-main-row">
@@ -296,15 +729,23 @@ const Todos = (() => {
           <div class="todo-badges">
             ${priorityHtml}
             ${deadlineHtml}
+            ${repeatHtml}
             ${catHtml ? `<span class="task-categories">${catHtml}</span>` : ''}
             ${subProgressHtml}
           </div>
-          <span class="todo-meta">${timeStr(todo.createdAt)}</span>
+          ${linksHtml}
+          <div class="todo-link-row" hidden>
+            <input type="text" class="todo-link-input" list="link-options" placeholder="Paste a URL or pick a saved link…" aria-label="Attach a link">
+          </div>
+          <span class="todo-meta">${timeStr(todo.createdAt)}${editedBy}</span>
         </div>
-        <div class="todo-actions">
+        <div class="todo-actions">${moveHtml}
           <button class="btn-icon btn-subtask-toggle subtask-toggle" title="Toggle subtasks" aria-label="Toggle subtasks" aria-expanded="false">
             <i class="fas fa-chevron-down"></i>
           </button>
+          <button class="btn-icon btn-attach" title="Attach a link" aria-label="Attach a link">
+            <i class="fas fa-paperclip"></i>
+          </button>
           <button class="btn-icon btn-edit" title="Edit task" aria-label="Edit task">
             <i class="fas fa-pen"></i>
           </button>
@@ -363,10 +804,53 @@ const Todos = (() => {
       }
     });
 
+    // ── Attached links ───────────────────────────────────────────
+    li.querySelectorAll('.link-chip-open').forEach((a) => {
+      // Let the browser follow the link before anything re-renders.
+      a.addEventListener('click', () => setTimeout(() => Links.markOpened(a.dataset.linkId), 0));
+    });
+    li.querySelectorAll('.link-chip-remove').forEach((btn) => {
+      btn.addEventListener('click', () => detachLink(todo.id, btn.dataset.linkId));
+    });
+    const linkRow = li.querySelector('.todo-link-row');
+    const linkInput = li.querySelector('.todo-link-input');
+    li.querySelector('.btn-attach').addEventListener('click', () => {
+      linkRow.hidden = !linkRow.hidden;
+      if (linkRow.hidden) return;
+      fillLinkOptions();
+      linkInput.value = '';
+      linkInput.focus();
+    });
+    linkInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        linkRow.hidden = true;
+        return;
+      }
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      if (!attachByText(todo.id, linkInput.value)) {
+        showToast(`No saved link matches "${linkInput.value.trim()}"`, 'error');
+      }
+    });
+
+    // ── Move to another list ─────────────────────────────────────
+    const moveSelect = li.querySelector('.todo-move');
+    if (moveSelect) {
+      moveSelect.addEventListener('change', () => {
+        const target = Lists.get(moveSelect.value);
+        if (!target) return;
+        moveToList(todo.id, target.id);
+        UndoHistory.offerUndo(`Moved "${todo.text}" to ${target.name}`);
+      });
+    }
+
     // ── Delete button ────────────────────────────────────────────
     li.querySelector('.btn-delete').addEventListener('click', () => {
       li.classList.add('removing');
-      li.addEventListener('animationend', () => remove(todo.id), { once: true });
+      li.addEventListener('animationend', () => {
+        remove(todo.id);
+        UndoHistory.offerUndo(`Deleted "${todo.text}"`);
+      }, { once: true });
     });
 
     // ── Subtask toggle ───────────────────────────────────────────
@@ -430,7 +914,10 @@ const Todos = (() => {
         </button>
       `;
       li.querySelector('.subtask-check').addEventListener('change', () => toggleSubtask(todo.id, sub.id));
-      li.querySelector('.subtask-delete').addEventListener('click', () => removeSubtask(todo.id, sub.id));
+      li.querySelector('.subtask-delete').addEventListener('click', () => {
+        removeSubtask(todo.id, sub.id);
+        UndoHistory.offerUndo(`Deleted subtask "${sub.text}"`);
+      });
       listEl.appendChild(li);
     });
   }
@@ -468,9 +955,44 @@ const Todos = (() => {
     `;
   }
 
+  /** Does a todo's deadline fall in the given range? */
+  function matchesDue(todo, range) {
+    if (range === 'none') return !todo.deadline;
+    if (!todo.deadline) return false;
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const due = parseDeadline(todo.deadline);
+    if (range === 'today') return due.getTime() === today.getTime();
+    // 'week': from today up to and including Sunday.
+    const endOfWeek = new Date(today);
+    endOfWeek.setDate(today.getDate() + ((7 - today.getDay()) % 7));
+    return due >= today && due <= endOfWeek;
+  }
+
+  /** Does a todo pass the category, priority, deadline and text filters? */
+  function matchesFilters(todo) {
+    if (filters.categories.length && !todo.categories.some((c) => filters.categories.includes(c))) {
+      return false;
+    }
+    if (filters.priority && todo.priority !== filters.priority) return false;
+    if (filters.due && !matchesDue(todo, filters.due)) return false;
+    if (filters.query) {
+      const haystack = [todo.text, ...todo.subtasks.map((s) => s.text)].join(' ').toLowerCase();
+      const words = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+      if (!words.every((w) => haystack.includes(w))) return false;
+    }
+    return true;
+  }
+
+  /** True when any filter beyond the status buttons is set. */
+  function hasExtraFilters() {
+    return filters.categories.length > 0 || !!filters.priority || !!filters.due || !!filters.query.trim();
+  }
+
   /** Get the filtered + sorted list of todos. */
   function getVisible() {
-    let list = [...todos];
+    const listId = Lists.current();
+    let list = todos.filter((t) => t.listId === listId && matchesFilters(t));
 
     // Filter
     switch (currentFilter) {
@@ -493,8 +1015,8 @@ const Todos = (() => {
         break;
       case 'deadline':
         list.sort((a, b) => {
-          const da = a.deadline ? parseDeadline(a.deadline).getTime() : Infinity;
-          const db = b.deadline ? parseDeadline(b.deadline).getTime() : Infinity;
+          const da = a.deadline ? dueDate(a).getTime() : Infinity;
+          const db = b.deadline ? dueDate(b).getTime() : Infinity;
           return da - db;
         });
         break;
@@ -522,7 +1044,7 @@ const Todos = (() => {
     const visible = getVisible();
     renderProgress(visible);
 
-    if (todos.length === 0) {
+    if (countInList(Lists.current()) === 0) {
       container.innerHTML = `
         <div class="empty-state">
           <i class="fas fa-microphone-slash empty-icon"></i>
@@ -535,7 +1057,7 @@ const Todos = (() => {
       container.innerHTML = `
         <div class="empty-state">
           <i class="fas fa-filter empty-icon"></i>
-          <p>No tasks match the current filter.</p>
+          <p>No tasks match the current filters.</p>
         </div>`;
       return;
     }
@@ -569,14 +1091,210 @@ const Todos = (() => {
 
   // ── Public API ───────────────────────────────────────────────────────────────
 
-  function init() {
-    load();
+  /**
+   * Switch the status filter and sync the filter buttons.
+   * @param {'all'|'active'|'completed'|'overdue'} filter
+   */
+  function setFilter(filter) {
+    document.querySelectorAll('#filter-bar .filter-btn').forEach((b) => {
+      const active = b.dataset.filter === filter;
+      b.classList.toggle('active', active);
+      b.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    currentFilter = filter;
+    saveFilterState();
     render();
+  }
+
+  /**
+   * Switch the sort order and sync the sort select.
+   * @param {'newest'|'oldest'|'deadline'|'priority'} sort
+   */
+  function setSort(sort) {
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) sortSelect.value = sort;
+    currentSort = sort;
+    saveFilterState();
+    render();
+  }
+
+  /**
+   * Change one of the extra filters.
+   * @param {'categories'|'priority'|'due'|'query'} name
+   * @param {*} value
+   */
+  function setFilterOption(name, value) {
+    filters = { ...filters, [name]: value };
+    saveFilterState();
+    syncFilterBar();
+    render();
+  }
+
+  /** Reset the extra filters (status and sort are kept). */
+  function clearFilters() {
+    filters = { categories: [], priority: '', due: '', query: '' };
+    saveFilterState();
+    syncFilterBar();
+    render();
+  }
+
+  function saveFilterState() {
+    Storage.set(FILTERS_KEY, { status: currentFilter, sort: currentSort, ...filters });
+  }
+
+  async function loadFilterState() {
+    const saved = await Storage.get(FILTERS_KEY, null);
+    if (!saved) return;
+    currentFilter = saved.status || 'all';
+    currentSort = saved.sort || 'newest';
+    filters = {
+      categories: Array.isArray(saved.categories) ? saved.categories : [],
+      priority: saved.priority || '',
+      due: saved.due || '',
+      query: saved.query || '',
+    };
+  }
+
+  /** Reflect the filter state in the filter bar controls. */
+  function syncFilterBar() {
+    document.querySelectorAll('#filter-bar .filter-btn').forEach((b) => {
+      const active = b.dataset.filter === currentFilter;
+      b.classList.toggle('active', active);
+      b.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) sortSelect.value = currentSort;
+
+    const search = document.getElementById('todo-search');
+    if (search && search.value !== filters.query) search.value = filters.query;
+    const priority = document.getElementById('filter-priority');
+    if (priority) priority.value = filters.priority;
+    const due = document.getElementById('filter-due');
+    if (due) due.value = filters.due;
+    const clearBtn = document.getElementById('filter-clear');
+    if (clearBtn) clearBtn.hidden = !hasExtraFilters();
+
+    renderFilterCategories();
+  }
+
+  /** Build the category filter chips from the Categories store. */
+  function renderFilterCategories() {
+    const container = document.getElementById('filter-categories');
+    if (!container) return;
+    container.innerHTML = '';
+    Categories.list().forEach((cat) => {
+      const on = filters.categories.includes(cat.name);
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = `cat-pill cat-filter${on ? ' selected' : ''}`;
+      chip.dataset.cat = cat.name;
+      chip.style.setProperty('--cat-color', cat.color);
+      chip.textContent = cat.name;
+      chip.setAttribute('aria-pressed', on ? 'true' : 'false');
+      chip.addEventListener('click', () => {
+        const next = on
+          ? filters.categories.filter((c) => c !== cat.name)
+          : [...filters.categories, cat.name];
+        setFilterOption('categories', next);
+      });
+      container.appendChild(chip);
+    });
+  }
+
+  /** Read-only snapshot of all todos (used for voice command matching). */
+  function getAll() {
+    return todos.map((t) => ({ ...t }));
+  }
+
+  /**
+   * Handle one spoken phrase: run it as a command if it is one, otherwise
+   * parse it into a new task.
+   * @param {string} transcript
+   */
+  function handleTranscript(transcript) {
+    const addAsTask = () => {
+      const parsed = VoiceParser.parseTask(transcript, { categories: categoryNames() });
+      add(parsed.text, {
+        deadline: parsed.deadline,
+        priority: parsed.priority,
+        categories: parsed.categories,
+      });
+    };
+    if (!VoiceCommands.run(transcript, addAsTask)) addAsTask();
+  }
+
+  // ── Repeat options (form) ──────────────────────────────────────────────────
+
+  /** Show only the detail inputs relevant to the selected repeat type. */
+  function showRepeatDetails() {
+    const type = document.getElementById('todo-repeat').value;
+    document.querySelectorAll('.repeat-detail').forEach((el) => {
+      el.hidden = el.dataset.repeat !== type;
+    });
+  }
+
+  /**
+   * Build a repeat rule from the options panel.
+   * @returns {object|null}
+   */
+  function readRepeatOptions() {
+    const select = document.getElementById('todo-repeat');
+    if (!select || !select.value) return null;
+    const type = select.value;
+    if (type === 'weekly') {
+      const days = Array.from(document.querySelectorAll('#todo-repeat-days .toggle-pill.selected'))
+        .map((el) => Number(el.dataset.day));
+      return { type, days };
+    }
+    if (type === 'monthly') {
+      const date = parseInt(document.getElementById('todo-repeat-date').value, 10);
+      return { type, date: date >= 1 && date <= 31 ? date : null };
+    }
+    if (type === 'interval') {
+      const every = parseInt(document.getElementById('todo-repeat-every').value, 10);
+      return { type, every: every >= 1 ? every : 1 };
+    }
+    return { type };
+  }
+
+  function resetRepeatOptions() {
+    const select = document.getElementById('todo-repeat');
+    if (!select) return;
+    select.value = '';
+    document.querySelectorAll('#todo-repeat-days .toggle-pill.selected').forEach((el) => {
+      el.classList.remove('selected');
+      el.setAttribute('aria-pressed', 'false');
+    });
+    document.getElementById('todo-repeat-date').value = '';
+    document.getElementById('todo-repeat-every').value = '';
+    showRepeatDetails();
+  }
+
+  /** Names of the categories that can be spoken. */
+  function categoryNames() {
+    return Categories.names();
+  }
+
+  async function init() {
+    await load();
+    await loadFilterState();
+    render();
+    scheduleReminders();
+
+    // Another tab changed the list: merge, and save back any record that is newer here.
+    Storage.onRemoteChange(STORAGE_KEY, (change) => {
+      const merged = Storage.merge(todos, change);
+      const changed = merged !== todos;
+      todos = merged;
+      save();
+      if (changed) render();
+    });
 
     // ── Wire up the text input form ──────────────────────────────
     const form = document.getElementById('todo-form');
     const input = document.getElementById('todo-input');
     const deadlineInput = document.getElementById('todo-deadline');
+    const timeInput = document.getElementById('todo-deadline-time');
     const prioritySelect = document.getElementById('todo-priority');
 
     if (form) {
@@ -588,15 +1306,30 @@ const Todos = (() => {
             document.querySelectorAll('#todo-categories .cat-pill.selected')
           ).map((el) => el.dataset.cat);
 
+          const reminders = Array.from(
+            document.querySelectorAll('#todo-reminders .toggle-pill.selected')
+          ).map((el) => Number(el.dataset.minutes));
+          const deadline = deadlineInput ? deadlineInput.value || null : null;
+          if (deadline && reminders.length) Reminders.requestPermission();
+
           add(val, {
-            deadline: deadlineInput ? deadlineInput.value || null : null,
+            deadline,
+            deadlineTime: timeInput ? timeInput.value || null : null,
+            reminders,
             priority: prioritySelect ? prioritySelect.value : 'medium',
             categories: selectedCats,
+            repeat: readRepeatOptions(),
           });
 
           input.value = '';
           if (deadlineInput) deadlineInput.value = '';
+          if (timeInput) timeInput.value = '';
+          document.querySelectorAll('#todo-reminders .toggle-pill.selected').forEach((el) => {
+            el.classList.remove('selected');
+            el.setAttribute('aria-pressed', 'false');
+          });
           if (prioritySelect) prioritySelect.value = 'medium';
+          resetRepeatOptions();
           // Deselect all category pills
           document.querySelectorAll('#todo-categories .cat-pill.selected').forEach((el) => {
             el.classList.remove('selected');
@@ -619,8 +1352,14 @@ const Todos = (() => {
       });
     }
 
-    // ── Category pill toggles ────────────────────────────────────
-    document.querySelectorAll('#todo-categories .cat-pill').forEach((pill) => {
+    // ── Repeat options ───────────────────────────────────────────
+    const repeatSelect = document.getElementById('todo-repeat');
+    if (repeatSelect) {
+      repeatSelect.addEventListener('change', showRepeatDetails);
+    }
+
+    // ── Day and reminder pill toggles ────────────────────────────
+    document.querySelectorAll('#todo-options .toggle-pill').forEach((pill) => {
       pill.setAttribute('aria-pressed', 'false');
       pill.addEventListener('click', () => {
         pill.classList.toggle('selected');
@@ -628,48 +1367,101 @@ const Todos = (() => {
       });
     });
 
+    // ── Category pill toggles ────────────────────────────────────
+    renderCategoryPills();
+    Lists.onChange(render);
+    // Attached links show their current description.
+    Links.onChange(render);
+
+    Categories.onChange(() => {
+      renderCategoryPills();
+      renderFilterCategories();
+      render();
+    });
+
     // ── Filter buttons ───────────────────────────────────────────
-    document.querySelectorAll('.filter-btn').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.filter-btn').forEach((b) => {
-          b.classList.remove('active');
-          b.setAttribute('aria-pressed', 'false');
-        });
-        btn.classList.add('active');
-        btn.setAttribute('aria-pressed', 'true');
-        currentFilter = btn.dataset.filter;
-        render();
-      });
+    document.querySelectorAll('#filter-bar .filter-btn').forEach((btn) => {
+      btn.addEventListener('click', () => setFilter(btn.dataset.filter));
     });
 
     // ── Sort select ──────────────────────────────────────────────
     const sortSelect = document.getElementById('sort-select');
     if (sortSelect) {
-      sortSelect.addEventListener('change', () => {
-        currentSort = sortSelect.value;
-        render();
+      sortSelect.addEventListener('change', () => setSort(sortSelect.value));
+    }
+
+    // ── Extra filters ────────────────────────────────────────────
+    const search = document.getElementById('todo-search');
+    if (search) {
+      // Untrimmed, so syncFilterBar() keeps a trailing space while typing.
+      search.addEventListener('input', () => setFilterOption('query', search.value));
+    }
+    const priorityFilter = document.getElementById('filter-priority');
+    if (priorityFilter) {
+      priorityFilter.addEventListener('change', () => setFilterOption('priority', priorityFilter.value));
+    }
+    const dueFilter = document.getElementById('filter-due');
+    if (dueFilter) {
+      dueFilter.addEventListener('change', () => setFilterOption('due', dueFilter.value));
+    }
+    const clearBtn = document.getElementById('filter-clear');
+    if (clearBtn) clearBtn.addEventListener('click', clearFilters);
+    syncFilterBar();
+
+    // ── Continuous dictation toggle ──────────────────────────────
+    const continuousBtn = document.getElementById('todo-continuous-toggle');
+    let continuous = await Storage.get(CONTINUOUS_KEY, false);
+    const syncContinuousBtn = () => {
+      if (!continuousBtn) return;
+      continuousBtn.classList.toggle('active', continuous);
+      continuousBtn.setAttribute('aria-pressed', continuous ? 'true' : 'false');
+    };
+    syncContinuousBtn();
+    if (continuousBtn) {
+      continuousBtn.addEventListener('click', () => {
+        continuous = !continuous;
+        Storage.set(CONTINUOUS_KEY, continuous);
+        syncContinuousBtn();
+        if (SpeechModule.listening) SpeechModule.stop();
       });
     }
 
+    // ── Interim transcript preview ───────────────────────────────
+    const interimBox = document.getElementById('todo-interim');
+    const interimText = interimBox ? interimBox.querySelector('.interim-text') : null;
+    const interimStop = interimBox ? interimBox.querySelector('.interim-stop') : null;
+    if (interimStop) interimStop.addEventListener('click', () => SpeechModule.stop());
+
     // ── Wire up the mic button for todos ─────────────────────────
     const micBtn = document.getElementById('todo-mic-btn');
     if (micBtn) {
-      if (!SpeechModule.isSupported()) {
-        micBtn.disabled = true;
-        micBtn.title = 'Speech recognition not supported in this browser';
-      }
       micBtn.addEventListener('click', () => {
         SpeechModule.toggle({
+          continuous,
           onResult(transcript) {
-            add(transcript);
+            if (continuous && /^stop(?:\s+(?:listening|dictation|dictating))?[.!]?$/i.test(transcript)) {
+              SpeechModule.stop();
+              return;
+            }
+            const phrases = continuous ? VoiceParser.splitTasks(transcript) : [transcript];
+            phrases.forEach(handleTranscript);
+          },
+          onInterim(text) {
+            if (!interimBox) return;
+            interimText.textContent = text || 'Listening…';
           },
           onStart() {
             micBtn.classList.add('listening');
             micBtn.setAttribute('aria-label', 'Stop listening');
+            if (interimBox && continuous) {
+              interimText.textContent = 'Listening…';
+              interimBox.hidden = false;
+            }
           },
           onStop() {
             micBtn.classList.remove('listening');
             micBtn.setAttribute('aria-label', 'Start voice input');
+            if (interimBox) interimBox.hidden = true;
           },
           onError(msg) {
             showToast(msg, 'error');
@@ -679,5 +1471,26 @@ const Todos = (() => {
     }
   }
 
-  return { init, add, render };
+  return {
+    init,
+    add,
+    toggle,
+    remove,
+    addSubtask,
+    importTodos,
+    moveToList,
+    removeList,
+    countInList,
+    attachLink,
+    detachLink,
+    countLinkRefs,
+    replaceLinkRefs,
+    renameCategory,
+    removeCategory,
+    countCategory,
+    setFilter,
+    setSort,
+    getAll,
+    render,
+  };
 })();
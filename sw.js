@@ -0,0 +1,81 @@
+/**
+ * sw.js — Service worker for deadline reminders
+ * Receives the reminder schedule from the page (see js/reminders.js) and
+ * shows notifications while the app is closed. Uses Notification Triggers
+ * where the browser supports them, and otherwise checks the stored schedule
+ * on periodic background sync.
+ */
+
+const REMINDER_CACHE = 'vt-reminders';
+const REMINDER_URL = 'reminders.json';
+const TAG_PREFIX = 'vt-reminder:';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+// ── Schedule storage ─────────────────────────────────────────────────────────
+
+async function readSchedule() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const res = await cache.match(REMINDER_URL);
+  return res ? res.json() : [];
+}
+
+async function writeSchedule(reminders) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(REMINDER_URL, new Response(JSON.stringify(reminders), {
+    headers: { 'Content-Type': 'application/json' },
+  }));
+}
+
+// ── Delivery ─────────────────────────────────────────────────────────────────
+
+function show(reminder, extra = {}) {
+  return self.registration.showNotification(reminder.title, {
+    body: reminder.body,
+    tag: reminder.tag,
+    ...extra,
+  });
+}
+
+/** Hand every reminder to the browser with a timestamp trigger, replacing stale ones. */
+async function scheduleTriggers(reminders) {
+  const wanted = new Set(reminders.map((r) => r.tag));
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending
+    .filter((n) => n.tag.startsWith(TAG_PREFIX) && !wanted.has(n.tag))
+    .forEach((n) => n.close());
+  await Promise.all(reminders.map((r) => show(r, { showTrigger: new TimestampTrigger(r.at) })));
+}
+
+/** Show reminders whose time has come and drop them from the schedule. */
+async function deliverDue() {
+  const now = Date.now();
+  const reminders = await readSchedule();
+  const due = reminders.filter((r) => r.at <= now);
+  await Promise.all(due.map((r) => show(r)));
+  await writeSchedule(reminders.filter((r) => r.at > now));
+}
+
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'schedule-reminders') return;
+  const reminders = event.data.reminders || [];
+  event.waitUntil((async () => {
+    await writeSchedule(reminders);
+    if ('showTrigger' in Notification.prototype) await scheduleTriggers(reminders);
+  })());
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'vt-reminders') event.waitUntil(deliverDue());
+});
+
+// Focus the app (or open it) when a reminder is clicked.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) return windows[0].focus();
+    return self.clients.openWindow('./');
+  })());
+});
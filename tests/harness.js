@@ -0,0 +1,55 @@
+/**
+ * harness.js — A tiny test runner for the browser
+ * Test files call `test(name, fn)` and the assertions below; open
+ * tests/index.html to run them all. No build step or dependencies, like the
+ * app itself.
+ */
+
+const Harness = (() => {
+  const results = [];
+
+  function format(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+  }
+
+  /**
+   * Register and run a test.
+   * @param {string} name
+   * @param {function} fn - Throws to fail.
+   */
+  function test(name, fn) {
+    try {
+      fn();
+      results.push({ name, ok: true });
+    } catch (e) {
+      results.push({ name, ok: false, message: e.message });
+    }
+  }
+
+  /** Fail unless `actual` and `expected` are equal (compared as JSON). */
+  function assertEqual(actual, expected, label = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${label ? `${label}: ` : ''}expected ${format(expected)}, got ${format(actual)}`);
+    }
+  }
+
+  /** Show the results in #results and the page title. */
+  function report() {
+    const failed = results.filter((r) => !r.ok);
+    const list = document.getElementById('results');
+    results.forEach((r) => {
+      const item = document.createElement('li');
+      item.className = r.ok ? 'pass' : 'fail';
+      item.textContent = r.ok ? `✓ ${r.name}` : `✗ ${r.name} — ${r.message}`;
+      list.appendChild(item);
+    });
+    const summary = `${results.length - failed.length}/${results.length} passed`;
+    document.getElementById('summary').textContent = summary;
+    document.title = `${failed.length ? '✗' : '✓'} ${summary}`;
+    return failed.length;
+  }
+
+  return { test, assertEqual, report, results };
+})();
+
+const { test, assertEqual } = Harness;
@@ -0,0 +1,34 @@
+/** Tests for js/parser.js */
+
+const inDays = (n) => {
+  const d = new Date();
+  d.setDate(d.getDate() + n);
+  return VoiceParser.toDateStr(d);
+};
+
+test('a weekday inside the task is not a deadline', () => {
+  assertEqual(VoiceParser.parseTask('buy a new monday planner').deadline, null);
+  assertEqual(VoiceParser.parseTask('buy a new monday planner').text, 'Buy a new monday planner');
+  assertEqual(VoiceParser.parseTask('order sunday paper').deadline, null);
+});
+
+test('a weekday after a lead word or at the end is a deadline', () => {
+  const friday = VoiceParser.parseTask('call mom on friday');
+  assertEqual(friday.text, 'Call mom');
+  assertEqual(new Date(`${friday.deadline}T00:00`).getDay(), 5);
+  assertEqual(VoiceParser.parseTask('call mom next friday').deadline, friday.deadline);
+  assertEqual(VoiceParser.parseTask('call mom friday').deadline, friday.deadline);
+});
+
+test('a couple of days and a few days', () => {
+  assertEqual(VoiceParser.parseTask('pay rent in a couple of days').deadline, inDays(2));
+  assertEqual(VoiceParser.parseTask('pay rent in a few days').deadline, inDays(3));
+});
+
+test('a day of the month on its own', () => {
+  const parsed = VoiceParser.parseTask('pay bill on the 1st');
+  assertEqual(parsed.text, 'Pay bill');
+  assertEqual(parsed.deadline.slice(-2), '01');
+  assertEqual(parsed.deadline >= VoiceParser.toDateStr(new Date()), true);
+  assertEqual(VoiceParser.parseTask('live on the second floor').deadline, null);
+});
@@ -0,0 +1,38 @@
+/** Tests for js/spoken-url.js */
+
+test('spoken punctuation becomes a URL', () => {
+  assertEqual(SpokenUrl.parse('github dot com slash some dash user'), 'https://github.com/some-user');
+  assertEqual(SpokenUrl.parse('heise punkt de schrägstrich news', 'de-DE'), 'https://heise.de/news');
+});
+
+test('words containing "dot" are left alone', () => {
+  assertEqual(SpokenUrl.parse('dotnet dot microsoft dot com'), 'https://dotnet.microsoft.com/');
+});
+
+test('path and query keep their case and punctuation', () => {
+  assertEqual(SpokenUrl.parse('example.com/Path?Q=1'), 'https://example.com/Path?Q=1');
+  assertEqual(SpokenUrl.parse('Example dot com slash Path?Q=1'), 'https://example.com/Path?Q=1');
+  assertEqual(SpokenUrl.parse('Github.com.'), 'https://github.com/');
+});
+
+test('localhost with a port', () => {
+  assertEqual(SpokenUrl.parse('localhost colon 3000'), 'http://localhost:3000/');
+  assertEqual(SpokenUrl.parse('localhost colon 3000 slash Api'), 'http://localhost:3000/Api');
+});
+
+test('a bare site name after a navigation phrase is guessed as .com', () => {
+  assertEqual(SpokenUrl.parse('go to github'), 'https://github.com/');
+  assertEqual(SpokenUrl.parse('open g h'), 'https://gh.com/');
+});
+
+test('common words are not guessed as sites', () => {
+  assertEqual(SpokenUrl.parse('open settings'), null);
+  assertEqual(SpokenUrl.parse('go to bed'), null);
+  assertEqual(SpokenUrl.parse('save time'), null);
+});
+
+test('sentences and email addresses are not URLs', () => {
+  assertEqual(SpokenUrl.parse('best pizza in town'), null);
+  assertEqual(SpokenUrl.parse('john at example dot com'), null);
+  assertEqual(SpokenUrl.parse('foo dot notatld'), null);
+});